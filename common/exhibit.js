@@ -0,0 +1,230 @@
+// =====================
+// EXHIBIT RUNTIME
+// =====================
+// What every exhibit page shares: the scene, camera, renderer and orbit
+// controls, the resize handler and the render loop, the mutually exclusive
+// mode toggles, taps on the canvas, and the Reset, Freeze and Capture buttons
+// with the flash overlay. An exhibit registers what is its own (modes, tap
+// handler, info text, what to clear on reset) and builds on the returned parts.
+//
+// The page provides the usual elements, all optional: .title-container,
+// .ui-panel, .info-panel, #reset-btn, #freeze-btn, #capture-btn,
+// #capture-scale, #capture-error and #flash-overlay.
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { findExhibit } from './exhibits.js';
+import { onTap, pointerToNDC } from './pointer.js';
+import { captureStill } from './recorder.js';
+import { download } from './export.js';
+import { registerServiceWorker } from './offline.js';
+import { kioskIdleSeconds, startKiosk } from './kiosk.js';
+
+/**
+ * Disposes the geometries and materials below `object` (except those in
+ * `keep`) and empties it. Textures belong to whoever loaded them.
+ */
+export function disposeObject(object, keep = new Set()) {
+  object.traverse(child => {
+    if (child.geometry && !keep.has(child.geometry)) child.geometry.dispose()
+    if (child.material && !keep.has(child.material)) child.material.dispose()
+  })
+  object.clear()
+}
+
+/**
+ * Starts the exhibit `id` (an entry of common/exhibits.js).
+ *
+ *   camera        { position, target, fov, near, far }
+ *   controls      OrbitControls settings, e.g. { minDistance: 0.2 }
+ *   modes         mode name → id of its toggle; at most one is on at a time
+ *   onModeChange  (mode or undefined) after a mode toggle was switched on or off
+ *   onClick       (raycaster, event) for a tap on the canvas, not while frozen
+ *                 unless clickWhenFrozen is set
+ *   info          HTML paragraphs shown in the info panel
+ *   onReset       clears the exhibit's own state (modes, freeze, camera and the
+ *                 shared link are already reset)
+ *   onFreeze      (frozen) after Freeze was switched
+ *   onFrame       (time) before every frame is drawn
+ *   capture       () → { draw, size } for a page that draws more than the
+ *                 scene from the camera: what Capture renders (see captureStill)
+ *
+ * Capture saves <id>-<time>.png at the resolution picked in #capture-scale.
+ * The page is cached for offline use, and opened with ?kiosk it resets itself
+ * when left idle (see common/kiosk.js).
+ *
+ * Returns the scene parts and { frozen, setFrozen, activeMode, setMode, paused,
+ * reset, setOverlaysVisible, shared, dispose }. Resources added to `shared`
+ * are kept by `dispose`. While `paused` is set the loop draws nothing, so a
+ * recording can render its own frames.
+ */
+export function createExhibit(id, {
+  camera: view = {},
+  controls: controlSettings = {},
+  modes = {},
+  onModeChange = () => {},
+  onClick = () => {},
+  clickWhenFrozen = false,
+  info = [],
+  onReset = () => {},
+  onFreeze = () => {},
+  onFrame = () => {},
+  capture = () => ({})
+} = {}) {
+  const entry = findExhibit(id)
+  const { position = [0, 2, 5], target = [0, 0, 0], fov = 60, near = 0.1, far = 2000 } = view
+
+  // --- scene ---
+  const scene = new THREE.Scene()
+  scene.background = new THREE.Color(0x050505)
+
+  const camera = new THREE.PerspectiveCamera(fov, window.innerWidth / window.innerHeight, near, far)
+  camera.position.set(...position)
+
+  // preserveDrawingBuffer so the canvas can be read back for captures
+  const renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true })
+  renderer.setSize(window.innerWidth, window.innerHeight)
+  document.body.appendChild(renderer.domElement)
+
+  const controls = new OrbitControls(camera, renderer.domElement)
+  controls.enableDamping = true
+  Object.assign(controls, controlSettings)
+  controls.target.set(...target)
+
+  const raycaster = new THREE.Raycaster()
+  const pointer = new THREE.Vector2()
+  const shared = new Set()
+
+  const uiPanel = document.querySelector('.ui-panel')
+  const infoPanel = document.querySelector('.info-panel')
+  const titleContainer = document.querySelector('.title-container')
+  const resetBtn = document.getElementById('reset-btn')
+  const freezeBtn = document.getElementById('freeze-btn')
+  const captureBtn = document.getElementById('capture-btn')
+  const captureScale = document.getElementById('capture-scale')
+  const captureError = document.getElementById('capture-error')
+  const flash = document.getElementById('flash-overlay')
+
+  document.title = entry.title
+  if (infoPanel && info.length) infoPanel.innerHTML = info.map(paragraph => `<p>${paragraph}</p>`).join('\n')
+
+  // --- modes ---
+  const modeToggles = Object.fromEntries(Object.entries(modes).map(([name, toggleId]) => [name, document.getElementById(toggleId)]))
+
+  // the checked mode among `names`, or undefined
+  function activeMode(names = Object.keys(modeToggles)) {
+    return names.find(name => modeToggles[name] && modeToggles[name].checked)
+  }
+
+  // switches a mode on the way its toggle does, if it isn't on already
+  function setMode(name) {
+    const toggle = modeToggles[name]
+    if (!toggle || toggle.checked) return
+    toggle.checked = true
+    toggle.dispatchEvent(new Event('change'))
+  }
+
+  Object.values(modeToggles).forEach(toggle => {
+    if (!toggle) return
+    toggle.addEventListener('change', () => {
+      if (toggle.checked) Object.values(modeToggles).forEach(other => { if (other && other !== toggle) other.checked = false })
+      onModeChange(activeMode())
+    })
+  })
+
+  // --- taps ---
+  onTap(renderer.domElement, event => {
+    if (frozen && !clickWhenFrozen) return
+    pointerToNDC(event, renderer.domElement, pointer)
+    raycaster.setFromCamera(pointer, camera)
+    onClick(raycaster, event)
+  })
+
+  // --- freeze ---
+  let frozen = false
+
+  function setFrozen(value) {
+    frozen = value
+    if (freezeBtn) {
+      freezeBtn.textContent = frozen ? 'Frozen' : 'Freeze'
+      freezeBtn.style.opacity = frozen ? '1' : ''
+    }
+    onFreeze(frozen)
+  }
+
+  if (freezeBtn) freezeBtn.addEventListener('click', () => setFrozen(!frozen))
+
+  // --- reset ---
+  function reset() {
+    Object.values(modeToggles).forEach(toggle => { if (toggle) toggle.checked = false })
+    setFrozen(false)
+    camera.position.set(...position)
+    controls.target.set(...target)
+    // drop a shared state from the address bar
+    history.replaceState(null, '', window.location.pathname + window.location.search)
+    onReset()
+  }
+
+  if (resetBtn) resetBtn.addEventListener('click', reset)
+
+  // --- offline & kiosk ---
+  registerServiceWorker()
+  const kioskIdle = kioskIdleSeconds(window.location.search)
+  if (kioskIdle) startKiosk({ idle: kioskIdle, onIdle: reset })
+
+  // --- capture ---
+  // hides the panels and title while a capture or recording is taken
+  function setOverlaysVisible(visible) {
+    const visibility = visible ? 'visible' : 'hidden'
+    ;[uiPanel, infoPanel, titleContainer].forEach(el => { if (el) el.style.visibility = visibility })
+  }
+
+  if (captureBtn) {
+    captureBtn.addEventListener('click', async () => {
+      if (captureError) captureError.textContent = ''
+      setOverlaysVisible(false)
+      try {
+        const scale = captureScale ? Number(captureScale.value) : 1
+        const blob = await captureStill(renderer, scene, camera, scale, capture())
+        // toBlob gives null when the canvas is too large to encode
+        if (!blob) throw new Error('Could not encode the capture; try a smaller scale')
+        if (flash) flash.style.opacity = '0.3'
+        download(blob, `${entry.id}-${Date.now()}.png`, 'image/png')
+        await new Promise(resolve => setTimeout(resolve, 150))
+      } catch (err) {
+        // shown under the button once the panels are back
+        if (captureError) captureError.textContent = err.message
+      } finally {
+        if (flash) flash.style.opacity = '0'
+        setOverlaysVisible(true)
+      }
+    })
+  }
+
+  // --- loop ---
+  const exhibit = {
+    entry, scene, camera, renderer, controls, raycaster, shared,
+    get frozen() { return frozen },
+    setFrozen, activeMode, setMode, reset, setOverlaysVisible,
+    dispose: object => disposeObject(object, shared),
+    paused: false
+  }
+
+  function animate(time = performance.now()) {
+    requestAnimationFrame(animate)
+    if (exhibit.paused) return
+    onFrame(time)
+    controls.update()
+    renderer.render(scene, camera)
+  }
+  // the exhibit finishes setting up before the first frame
+  requestAnimationFrame(animate)
+
+  window.addEventListener('resize', () => {
+    camera.aspect = window.innerWidth / window.innerHeight
+    camera.updateProjectionMatrix()
+    renderer.setSize(window.innerWidth, window.innerHeight)
+  })
+
+  return exhibit
+}
@@ -0,0 +1,35 @@
+// =====================
+// EXHIBIT REGISTRY
+// =====================
+// Every exhibit of the lab, in the order of the landing page, which builds its
+// project list from here. An exhibit's page starts its scene with
+// createExhibit(id, …) from common/exhibit.js, which looks its entry up.
+// Descriptions may use <sup> for exponents.
+
+export const EXHIBITS = [
+  {
+    id: 'stereographic',
+    title: 'Stereographic Projection',
+    description: 'Interactive mapping from S<sup>2</sup> to the plane.',
+    path: 'stereographic/index.html'
+  },
+  {
+    id: 'hopf',
+    title: 'Hopf Fibration',
+    description: 'Visualization of fibers of S<sup>3</sup> projected onto S<sup>2</sup>.',
+    path: 'hopf/index.html'
+  },
+  {
+    id: 'polytopes',
+    title: '4D Polytopes',
+    description: 'Regular polytopes and Clifford tori on S<sup>3</sup>, projected into space.',
+    path: 'polytopes/index.html'
+  }
+]
+
+// the registry entry of `id`, with its two-digit number on the landing page
+export function findExhibit(id) {
+  const index = EXHIBITS.findIndex(exhibit => exhibit.id === id)
+  if (index < 0) throw new Error(`Unknown exhibit "${id}": add it to common/exhibits.js`)
+  return { ...EXHIBITS[index], number: String(index + 1).padStart(2, '0') }
+}
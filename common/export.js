@@ -0,0 +1,162 @@
+// =====================
+// EXPORTS
+// =====================
+// Mesh and vector downloads next to the PNG capture: binary glTF and OBJ for
+// 3D viewers and printers, SVG for papers and handouts. Colours come from the
+// object materials, metadata from userData (glTF keeps it as "extras", OBJ and
+// SVG write it as comments / data attributes).
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+
+// saves a Blob (or anything a Blob accepts) under `filename`
+export function download(data, filename, type = 'application/octet-stream') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.download = filename
+  link.href = url
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// ---------------------
+// Meshes
+// ---------------------
+
+/**
+ * A closed or open polyline thickened into a tube, so it can be printed.
+ * Open lines (the fiber through the projection pole) get flat caps.
+ */
+export function tubeGeometry(points, radius, closed, radialSegments = 8) {
+  const vectors = points.map(p => new THREE.Vector3(p.x, p.y, p.z))
+  // a closed polyline repeats its first point at the end; the curve closes itself
+  if (closed && vectors.length > 2 && vectors[0].distanceTo(vectors[vectors.length - 1]) < 1e-9) vectors.pop()
+  const path = vectors.length === 2
+    ? new THREE.LineCurve3(vectors[0], vectors[1])
+    : new THREE.CatmullRomCurve3(vectors, closed, 'centripetal')
+  const tubular = Math.max(1, closed ? vectors.length : vectors.length - 1)
+  const tube = new THREE.TubeGeometry(path, tubular, radius, radialSegments, closed)
+  if (closed) return tube
+
+  // TubeGeometry leaves the ends open; add a fan at each end so the mesh is watertight
+  const position = tube.attributes.position
+  const ring = radialSegments + 1
+  const last = position.count - ring
+  const indices = Array.from(tube.index.array)
+  const ends = [[0, path.getPointAt(0)], [last, path.getPointAt(1)]]
+  const extra = []
+  ends.forEach(([start, center], e) => {
+    const c = position.count + extra.length / 3
+    extra.push(center.x, center.y, center.z)
+    for (let j = 0; j < radialSegments; j++) {
+      // winding flipped at the start so both caps face outwards
+      if (e === 0) indices.push(c, start + j + 1, start + j)
+      else indices.push(c, start + j, start + j + 1)
+    }
+  })
+  const positions = new Float32Array(position.count * 3 + extra.length)
+  positions.set(position.array)
+  positions.set(extra, position.count * 3)
+  const capped = new THREE.BufferGeometry()
+  capped.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+  capped.setIndex(indices)
+  capped.computeVertexNormals()
+  tube.dispose()
+  return capped
+}
+
+// binary glTF (.glb) of an object tree; userData ends up in each node's "extras"
+export async function exportGLB(object, filename) {
+  const glb = await new GLTFExporter().parseAsync(object, { binary: true })
+  download(glb, filename, 'model/gltf-binary')
+}
+
+const hex = color => color.getHexString()
+
+/**
+ * Wavefront OBJ plus its MTL for every Mesh and Line below `object`, in world
+ * space. One material per colour; userData goes into a comment above each object.
+ */
+export function toOBJ(object, mtlName) {
+  const lines = [`mtllib ${mtlName}`]
+  const materials = new Map()
+  let offset = 1
+
+  object.updateMatrixWorld(true)
+  object.traverse(child => {
+    if (!(child.isMesh || child.isLine) || !child.geometry.attributes.position) return
+    const position = child.geometry.attributes.position
+    const color = child.material.color || new THREE.Color(1, 1, 1)
+    const material = `color_${hex(color)}`
+    materials.set(material, color)
+
+    lines.push(`o ${child.name || `object_${child.id}`}`)
+    if (Object.keys(child.userData).length) lines.push(`# ${JSON.stringify(child.userData)}`)
+    lines.push(`usemtl ${material}`)
+
+    const v = new THREE.Vector3()
+    for (let i = 0; i < position.count; i++) {
+      v.fromBufferAttribute(position, i).applyMatrix4(child.matrixWorld)
+      lines.push(`v ${v.x.toFixed(6)} ${v.y.toFixed(6)} ${v.z.toFixed(6)}`)
+    }
+
+    const index = child.geometry.index ? Array.from(child.geometry.index.array) : [...Array(position.count).keys()]
+    if (child.isMesh) {
+      for (let i = 0; i < index.length; i += 3) lines.push(`f ${index[i] + offset} ${index[i + 1] + offset} ${index[i + 2] + offset}`)
+    } else if (child.isLineSegments) {
+      for (let i = 0; i < index.length; i += 2) lines.push(`l ${index[i] + offset} ${index[i + 1] + offset}`)
+    } else {
+      lines.push(`l ${index.map(i => i + offset).join(' ')}`)
+    }
+    offset += position.count
+  })
+
+  const mtl = []
+  materials.forEach((color, name) => {
+    mtl.push(`newmtl ${name}`, `Kd ${color.r.toFixed(4)} ${color.g.toFixed(4)} ${color.b.toFixed(4)}`, '')
+  })
+  return { obj: lines.join('\n') + '\n', mtl: mtl.join('\n') }
+}
+
+// downloads <basename>.obj and <basename>.mtl
+export function exportOBJ(object, basename) {
+  const { obj, mtl } = toOBJ(object, `${basename}.mtl`)
+  download(obj, `${basename}.obj`, 'text/plain')
+  download(mtl, `${basename}.mtl`, 'text/plain')
+}
+
+// ---------------------
+// SVG
+// ---------------------
+
+const escapeXML = text => String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c])
+
+// attributes object → ' key="value"', skipping empty values
+export function svgAttributes(attrs) {
+  return Object.entries(attrs)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => ` ${key}="${escapeXML(value)}"`)
+    .join('')
+}
+
+// 2D points [{x, y}] → a path "d" string
+export function svgPathData(points, closed = false) {
+  const d = points.map((p, i) => `${i ? 'L' : 'M'}${p.x.toFixed(3)} ${p.y.toFixed(3)}`).join(' ')
+  return closed ? `${d} Z` : d
+}
+
+/**
+ * A standalone SVG document. `viewBox` is [x, y, width, height] in drawing
+ * units; `width` is the printed width in millimetres. `body` is SVG markup.
+ */
+export function svgDocument({ viewBox, width = 160, title = '', description = '' }, body) {
+  const height = width * viewBox[3] / viewBox[2]
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg"${svgAttributes({ viewBox: viewBox.map(n => n.toFixed(3)).join(' '), width: `${width}mm`, height: `${height.toFixed(1)}mm` })}>`,
+    title && `<title>${escapeXML(title)}</title>`,
+    description && `<desc>${escapeXML(description)}</desc>`,
+    body,
+    '</svg>'
+  ].filter(Boolean).join('\n')
+}
@@ -0,0 +1,725 @@
+// =====================
+// SHARED GEOMETRY
+// =====================
+// Pure math used by the exhibits: no DOM, no renderer, no Three.js.
+// Points are plain objects ({x, y, z} on S², {x, y, z, w} on S³), so anything
+// with those fields (a THREE.Vector3, for instance) can be passed in.
+//
+// Conventions (the usual math ones, z is "up"):
+//   S² base point  n = (sinθ cosφ, sinθ sinφ, cosθ)
+//   S³ point       q = (x, y, z, w)  seen as  z1 = x + iy,  z2 = z + iw
+
+// below this distance from a projection pole a point is treated as "at infinity"
+export const POLE_EPSILON = 1e-9
+
+// ---------------------
+// Spherical coordinates
+// ---------------------
+
+// polar angle θ ∈ [0, π] from +z, azimuth φ ∈ (-π, π] from +x
+export function sphericalToCartesian(theta, phi) {
+  return {
+    x: Math.sin(theta) * Math.cos(phi),
+    y: Math.sin(theta) * Math.sin(phi),
+    z: Math.cos(theta)
+  }
+}
+
+export function cartesianToSpherical(p) {
+  const r = Math.hypot(p.x, p.y, p.z)
+  return {
+    theta: Math.acos(Math.min(1, Math.max(-1, p.z / r))),
+    phi: Math.atan2(p.y, p.x)
+  }
+}
+
+// ---------------------
+// Hopf fibration S³ → S²
+// ---------------------
+
+/**
+ * Hopf map: sends q ∈ S³ to its base point on S².
+ * n.z = |z1|² − |z2|²,  n.x + i n.y = 2 · conj(z1) · z2
+ */
+export function hopfMap(q) {
+  return {
+    x: 2 * (q.x * q.z + q.y * q.w),
+    y: 2 * (q.x * q.w - q.y * q.z),
+    z: q.x * q.x + q.y * q.y - q.z * q.z - q.w * q.w
+  }
+}
+
+/**
+ * Point of the fiber over n at parameter t ∈ [0, 2π):
+ * z1 = cos(θ/2) e^{it},  z2 = sin(θ/2) e^{i(t+φ)}
+ */
+export function hopfFiberPoint(n, t) {
+  const { theta, phi } = cartesianToSpherical(n)
+  const a = Math.cos(theta / 2), b = Math.sin(theta / 2)
+  return {
+    x: a * Math.cos(t),
+    y: a * Math.sin(t),
+    z: b * Math.cos(t + phi),
+    w: b * Math.sin(t + phi)
+  }
+}
+
+// the whole fiber over n, segments + 1 samples so the loop closes
+export function hopfFiberPoints(n, segments = 1000) {
+  const points = []
+  for (let i = 0; i <= segments; i++) {
+    points.push(hopfFiberPoint(n, (i / segments) * Math.PI * 2))
+  }
+  return points
+}
+
+// ---------------------
+// Stereographic projection S³ → ℝ³ (from the pole w = 1)
+// ---------------------
+
+// returns null for the pole itself, which goes to infinity
+export function stereographicFromS3(q) {
+  const d = 1 - q.w
+  if (d < POLE_EPSILON) return null
+  return { x: q.x / d, y: q.y / d, z: q.z / d }
+}
+
+export function inverseStereographicToS3(p) {
+  const s = p.x * p.x + p.y * p.y + p.z * p.z
+  const k = 2 / (s + 1)
+  return { x: p.x * k, y: p.y * k, z: p.z * k, w: (s - 1) / (s + 1) }
+}
+
+// ---------------------
+// Stereographic projection S² → plane
+// ---------------------
+// The sphere may sit anywhere; the plane is horizontal (y = planeY, y is "up"
+// in the scene), and the projection ray starts at `pole`.
+
+/**
+ * Projects p along the ray from `pole` onto the plane y = planeY.
+ * Returns null when the ray is parallel to the plane (p is the pole).
+ */
+export function stereographicProject(p, pole, planeY = 0) {
+  const dx = p.x - pole.x, dy = p.y - pole.y, dz = p.z - pole.z
+  if (Math.abs(dy) < POLE_EPSILON) return null
+  const t = (planeY - pole.y) / dy
+  return { x: pole.x + dx * t, y: planeY, z: pole.z + dz * t }
+}
+
+/**
+ * Lifts a point of the plane back onto the sphere (center, radius) whose
+ * top point is the projection pole: the second intersection of the ray
+ * from the pole through q.
+ */
+export function inverseStereographicProject(q, center, radius) {
+  const pole = { x: center.x, y: center.y + radius, z: center.z }
+  const dx = q.x - pole.x, dy = q.y - pole.y, dz = q.z - pole.z
+  const len2 = dx * dx + dy * dy + dz * dz
+  if (len2 < POLE_EPSILON) return { ...pole }
+  // pole − center = radius · (0, 1, 0), so |r·up + s·d|² = r² gives s = −2r(up·d)/|d|²
+  const s = -2 * radius * dy / len2
+  return { x: pole.x + dx * s, y: pole.y + dy * s, z: pole.z + dz * s }
+}
+
+// ---------------------
+// Circle samplers on the unit S² (z up)
+// ---------------------
+
+// parallel at height z, segments + 1 samples so the loop closes
+export function latitudeCircle(z, segments = 128) {
+  const r = Math.sqrt(Math.max(0, 1 - z * z))
+  const points = []
+  for (let i = 0; i <= segments; i++) {
+    const t = (i / segments) * Math.PI * 2
+    points.push({ x: r * Math.cos(t), y: r * Math.sin(t), z })
+  }
+  return points
+}
+
+// great circle through both poles at azimuth phi, starting at the north pole
+export function longitudeCircle(phi, segments = 128) {
+  const points = []
+  for (let i = 0; i <= segments; i++) {
+    const theta = (i / segments) * Math.PI * 2
+    points.push({
+      x: Math.sin(theta) * Math.cos(phi),
+      y: Math.sin(theta) * Math.sin(phi),
+      z: Math.cos(theta)
+    })
+  }
+  return points
+}
+
+// ---------------------
+// Paths on the unit S²
+// ---------------------
+
+// great-circle distance between two unit vectors
+export function angularDistance(p, q) {
+  const dot = p.x * q.x + p.y * q.y + p.z * q.z
+  return Math.acos(Math.min(1, Math.max(-1, dot)))
+}
+
+// spherical linear interpolation between unit vectors p (t = 0) and q (t = 1)
+export function slerp(p, q, t) {
+  const omega = angularDistance(p, q)
+  if (omega < 1e-9) return { x: p.x, y: p.y, z: p.z }
+  const s = Math.sin(omega)
+  const a = Math.sin((1 - t) * omega) / s, b = Math.sin(t * omega) / s
+  return { x: a * p.x + b * q.x, y: a * p.y + b * q.y, z: a * p.z + b * q.z }
+}
+
+/**
+ * `count` points evenly spaced by arc length along a polyline on S².
+ * An open path keeps both end points; a closed one also walks the segment
+ * back to the start and does not repeat it.
+ */
+export function resamplePath(points, count, closed = false) {
+  if (points.length < 2 || count < 2) return points.slice(0, count).map(p => ({ x: p.x, y: p.y, z: p.z }))
+  const nodes = closed ? [...points, points[0]] : points
+  const lengths = [0]
+  for (let i = 1; i < nodes.length; i++) lengths.push(lengths[i - 1] + angularDistance(nodes[i - 1], nodes[i]))
+  const total = lengths[lengths.length - 1]
+
+  const out = []
+  const step = total / (closed ? count : count - 1)
+  let seg = 1
+  for (let i = 0; i < count; i++) {
+    const d = Math.min(i * step, total)
+    while (seg < nodes.length - 1 && lengths[seg] < d) seg++
+    const span = lengths[seg] - lengths[seg - 1]
+    out.push(slerp(nodes[seg - 1], nodes[seg], span > 0 ? (d - lengths[seg - 1]) / span : 0))
+  }
+  return out
+}
+
+// swaps a z-up point into the y-up scene frame of a sphere (center, radius)
+export function toYUp(p, center = { x: 0, y: 0, z: 0 }, radius = 1) {
+  return {
+    x: center.x + radius * p.x,
+    y: center.y + radius * p.z,
+    z: center.z + radius * p.y
+  }
+}
+
+// ---------------------
+// Rotations of S³
+// ---------------------
+
+// the six coordinate planes of ℝ⁴, in the order rotations are composed
+export const ROTATION_PLANES = ['xy', 'xz', 'xw', 'yz', 'yw', 'zw']
+const AXIS = { x: 0, y: 1, z: 2, w: 3 }
+
+/**
+ * 4×4 rotation matrix (row-major, 16 numbers) composed from angles in the six
+ * coordinate planes, e.g. { xw: 0.5, yz: 1.2 }. Missing planes count as 0.
+ */
+export function rotationMatrix4(angles = {}) {
+  let m = [1,0,0,0, 0,1,0,0, 0,0,1,0, 0,0,0,1]
+  for (const plane of ROTATION_PLANES) {
+    const angle = angles[plane] || 0
+    if (angle === 0) continue
+    const i = AXIS[plane[0]], j = AXIS[plane[1]]
+    const c = Math.cos(angle), s = Math.sin(angle)
+    const r = [1,0,0,0, 0,1,0,0, 0,0,1,0, 0,0,0,1]
+    r[i * 4 + i] = c; r[i * 4 + j] = -s
+    r[j * 4 + i] = s; r[j * 4 + j] = c
+    m = multiplyMatrix4(r, m)
+  }
+  return m
+}
+
+export function multiplyMatrix4(a, b) {
+  const out = new Array(16).fill(0)
+  for (let i = 0; i < 4; i++) {
+    for (let j = 0; j < 4; j++) {
+      for (let k = 0; k < 4; k++) out[i * 4 + j] += a[i * 4 + k] * b[k * 4 + j]
+    }
+  }
+  return out
+}
+
+export function applyMatrix4(m, q) {
+  return {
+    x: m[0] * q.x + m[1] * q.y + m[2] * q.z + m[3] * q.w,
+    y: m[4] * q.x + m[5] * q.y + m[6] * q.z + m[7] * q.w,
+    z: m[8] * q.x + m[9] * q.y + m[10] * q.z + m[11] * q.w,
+    w: m[12] * q.x + m[13] * q.y + m[14] * q.z + m[15] * q.w
+  }
+}
+
+// ---------------------
+// Great circles of S³ in ℝ³
+// ---------------------
+
+/**
+ * Orthonormal pair (a, b) spanning the fiber over n, so that the fiber is
+ * a·cos t + b·sin t. Any rotation of S³ can be applied to a and b directly.
+ */
+export function hopfFiberFrame(n) {
+  return { a: hopfFiberPoint(n, 0), b: hopfFiberPoint(n, Math.PI / 2) }
+}
+
+/**
+ * Stereographic image of the great circle a·cos t + b·sin t.
+ * A circle through the pole w = 1 is a straight line in ℝ³: it is returned
+ * as a two-point segment reaching `far` units out in both directions.
+ */
+export function projectGreatCircle(a, b, segments = 1000, far = 1000) {
+  const at = t => {
+    const c = Math.cos(t), s = Math.sin(t)
+    return { x: a.x * c + b.x * s, y: a.y * c + b.y * s, z: a.z * c + b.z * s, w: a.w * c + b.w * s }
+  }
+
+  // w along the circle peaks at t0 with value |(a.w, b.w)|
+  const t0 = Math.atan2(b.w, a.w)
+  if (Math.hypot(a.w, b.w) > 1 - 1e-6) {
+    const h = 1e-3
+    const mid = stereographicFromS3(at(t0 + Math.PI))
+    const p0 = stereographicFromS3(at(t0 + Math.PI - h))
+    const p1 = stereographicFromS3(at(t0 + Math.PI + h))
+    const len = Math.hypot(p1.x - p0.x, p1.y - p0.y, p1.z - p0.z)
+    const d = { x: (p1.x - p0.x) / len, y: (p1.y - p0.y) / len, z: (p1.z - p0.z) / len }
+    return [
+      { x: mid.x - d.x * far, y: mid.y - d.y * far, z: mid.z - d.z * far },
+      { x: mid.x + d.x * far, y: mid.y + d.y * far, z: mid.z + d.z * far }
+    ]
+  }
+
+  const points = []
+  for (let i = 0; i <= segments; i++) {
+    points.push(stereographicFromS3(at((i / segments) * Math.PI * 2)))
+  }
+  return points
+}
+
+// ---------------------
+// Linking and projected circle geometry
+// ---------------------
+
+const sub = (p, q) => ({ x: p.x - q.x, y: p.y - q.y, z: p.z - q.z })
+const dot = (p, q) => p.x * q.x + p.y * q.y + p.z * q.z
+const cross = (p, q) => ({ x: p.y * q.z - p.z * q.y, y: p.z * q.x - p.x * q.z, z: p.x * q.y - p.y * q.x })
+const unit = p => { const l = Math.hypot(p.x, p.y, p.z); return l > 0 ? { x: p.x / l, y: p.y / l, z: p.z / l } : p }
+
+/**
+ * Discrete Gauss linking integral of two closed polylines in ℝ³.
+ * Every pair of segments contributes the signed solid angle it subtends
+ * (Klenin & Langowski, 2000), which is the Gauss integral evaluated exactly
+ * over the two polygons, so the sum is an integer up to rounding.
+ */
+export function gaussLinkingNumber(curveA, curveB) {
+  const clamp = x => Math.min(1, Math.max(-1, x))
+  let sum = 0
+  for (let i = 0; i < curveA.length; i++) {
+    const p1 = curveA[i], p2 = curveA[(i + 1) % curveA.length]
+    const r12 = sub(p2, p1)
+    for (let j = 0; j < curveB.length; j++) {
+      const p3 = curveB[j], p4 = curveB[(j + 1) % curveB.length]
+      const r13 = sub(p3, p1), r14 = sub(p4, p1), r23 = sub(p3, p2), r24 = sub(p4, p2)
+      const n1 = unit(cross(r13, r14)), n2 = unit(cross(r14, r24))
+      const n3 = unit(cross(r24, r23)), n4 = unit(cross(r23, r13))
+      const omega = Math.asin(clamp(dot(n1, n2))) + Math.asin(clamp(dot(n2, n3))) +
+        Math.asin(clamp(dot(n3, n4))) + Math.asin(clamp(dot(n4, n1)))
+      sum += omega * Math.sign(dot(cross(sub(p4, p3), r12), r13))
+    }
+  }
+  return sum / (4 * Math.PI)
+}
+
+// rotations taking each vertex of the 24-cell (±e_i and (±1, ±1, ±1, ±1)/2) to
+// the projection pole w = 1: a reflection p ↦ e_w followed by x ↦ −x, so two
+// reflections and a proper rotation; the pole itself needs neither
+const POLE_ROTATIONS = (() => {
+  const poles = []
+  for (let i = 0; i < 4; i++) {
+    for (const s of [1, -1]) { const p = [0, 0, 0, 0]; p[i] = s; poles.push(p) }
+  }
+  for (let k = 0; k < 16; k++) poles.push([0, 1, 2, 3].map(i => (k >> i & 1 ? -0.5 : 0.5)))
+  return poles.map(p => {
+    const v = [p[0], p[1], p[2], p[3] - 1]
+    const v2 = v.reduce((acc, x) => acc + x * x, 0)
+    const m = []
+    for (let r = 0; r < 4; r++) {
+      for (let c = 0; c < 4; c++) {
+        const h = (r === c ? 1 : 0) - (v2 > 0 ? 2 * v[r] * v[c] / v2 : 0)
+        m.push(r === 0 && v2 > 0 ? -h : h)
+      }
+    }
+    return m
+  })
+})()
+
+// at most this many samples per fiber, however close the fibers are (the
+// integral takes time quadratic in it)
+const MAX_LINK_SEGMENTS = 1024
+
+// the frame of a fiber turned to start at its point nearest q ∈ S³
+function frameNearest({ a, b }, q) {
+  const t = Math.atan2(q.x * b.x + q.y * b.y + q.z * b.z + q.w * b.w, q.x * a.x + q.y * a.y + q.z * a.z + q.w * a.w)
+  const c = Math.cos(t), s = Math.sin(t)
+  const mix = (u, v) => ({ x: a.x * u + b.x * v, y: a.y * u + b.y * v, z: a.z * u + b.z * v, w: a.w * u + b.w * v })
+  return { a: mix(c, s), b: mix(-s, c) }
+}
+
+/**
+ * Linking number of the Hopf fibers over n1 and n2, from the Gauss integral
+ * of their stereographic images. The linking number does not depend on the
+ * projection pole, so the pole is picked as far from both fibers as possible
+ * to keep the projected circles small and the integral well conditioned.
+ *
+ * `segments` is the least number of samples per fiber. The fibers are sampled
+ * in step, each sample of the second nearest the one of the first, and close
+ * fibers get more samples, so the polygons stay closer to their circles
+ * (sagitta ≈ π²/2s²) than the fibers are to each other (half the angle between
+ * their base points). Over the same base point there is only one fiber, and
+ * the result is NaN.
+ */
+export function hopfLinkingNumber(n1, n2, segments = 256) {
+  // half the chord, which unlike the angle is exactly 0 for equal points
+  const separation = Math.hypot(n1.x - n2.x, n1.y - n2.y, n1.z - n2.z) / 2
+  if (separation < POLE_EPSILON) return NaN
+  segments = Math.max(segments, Math.min(MAX_LINK_SEGMENTS, Math.ceil(Math.PI / Math.sqrt(separation))))
+  const first = hopfFiberFrame(n1)
+  const frames = [first, frameNearest(hopfFiberFrame(n2), first.a)]
+  let best = null, bestW = Infinity
+  for (const m of POLE_ROTATIONS) {
+    const rotated = frames.map(({ a, b }) => ({ a: applyMatrix4(m, a), b: applyMatrix4(m, b) }))
+    const w = Math.max(...rotated.map(({ a, b }) => Math.hypot(a.w, b.w)))
+    if (w < bestW) { bestW = w; best = rotated }
+  }
+  // drop the repeated closing sample, the integral closes the loop itself
+  const [A, B] = best.map(({ a, b }) => projectGreatCircle(a, b, segments).slice(0, segments))
+  return gaussLinkingNumber(A, B)
+}
+
+/**
+ * Center, radius and unit normal of the stereographic image of the great
+ * circle a·cos t + b·sin t, from three of its points. Returns { line: true }
+ * when the image is a straight line (the circle passes through the pole).
+ */
+export function projectedCircle(a, b) {
+  const at = t => {
+    const c = Math.cos(t), s = Math.sin(t)
+    return { x: a.x * c + b.x * s, y: a.y * c + b.y * s, z: a.z * c + b.z * s, w: a.w * c + b.w * s }
+  }
+  if (Math.hypot(a.w, b.w) > 1 - 1e-6) return { line: true }
+
+  const [p1, p2, p3] = [0, 2, 4].map(k => stereographicFromS3(at(k * Math.PI / 3)))
+  const u = sub(p1, p3), v = sub(p2, p3)
+  const n = cross(u, v)
+  const n2 = n.x * n.x + n.y * n.y + n.z * n.z
+  const u2 = u.x * u.x + u.y * u.y + u.z * u.z
+  const v2 = v.x * v.x + v.y * v.y + v.z * v.z
+
+  // circumcenter: p3 + ((|u|² v − |v|² u) × (u × v)) / (2 |u × v|²)
+  const w = { x: u2 * v.x - v2 * u.x, y: u2 * v.y - v2 * u.y, z: u2 * v.z - v2 * u.z }
+  const c = cross(w, n)
+  const center = { x: p3.x + c.x / (2 * n2), y: p3.y + c.y / (2 * n2), z: p3.z + c.z / (2 * n2) }
+  const len = Math.sqrt(n2)
+  return {
+    line: false,
+    center,
+    radius: Math.hypot(center.x - p3.x, center.y - p3.y, center.z - p3.z),
+    normal: { x: n.x / len, y: n.y / len, z: n.z / len }
+  }
+}
+
+// ---------------------
+// Complex numbers and Möbius transformations
+// ---------------------
+// Complex numbers are { re, im }; null stands for the point at infinity.
+
+export const complex = (re, im = 0) => ({ re, im })
+export const cAdd = (p, q) => ({ re: p.re + q.re, im: p.im + q.im })
+export const cSub = (p, q) => ({ re: p.re - q.re, im: p.im - q.im })
+export const cMul = (p, q) => ({ re: p.re * q.re - p.im * q.im, im: p.re * q.im + p.im * q.re })
+export const cConj = p => ({ re: p.re, im: -p.im })
+export const cAbs2 = p => p.re * p.re + p.im * p.im
+export function cDiv(p, q) {
+  const d = cAbs2(q)
+  return { re: (p.re * q.re + p.im * q.im) / d, im: (p.im * q.re - p.re * q.im) / d }
+}
+
+/**
+ * z ↦ (az + b) / (cz + d) on the Riemann sphere, with m = { a, b, c, d }.
+ */
+export function applyMobius(m, z) {
+  if (z === null) return cAbs2(m.c) < POLE_EPSILON ? null : cDiv(m.a, m.c)
+  const den = cAdd(cMul(m.c, z), m.d)
+  if (cAbs2(den) < POLE_EPSILON) return null
+  return cDiv(cAdd(cMul(m.a, z), m.b), den)
+}
+
+// unit sphere centered at the origin, pole +y, plane y = 0 read as x + iz
+function liftComplex(w) {
+  if (w === null) return { x: 0, y: 1, z: 0 }
+  return inverseStereographicProject({ x: w.re, y: 0, z: w.im }, { x: 0, y: 0, z: 0 }, 1)
+}
+
+// orthonormal frame (as matrix columns) built from two non-parallel unit vectors
+function frame(p, q) {
+  const d = p.x * q.x + p.y * q.y + p.z * q.z
+  const e2 = { x: q.x - d * p.x, y: q.y - d * p.y, z: q.z - d * p.z }
+  const l = Math.hypot(e2.x, e2.y, e2.z)
+  e2.x /= l; e2.y /= l; e2.z /= l
+  const e3 = { x: p.y * e2.z - p.z * e2.y, y: p.z * e2.x - p.x * e2.z, z: p.x * e2.y - p.y * e2.x }
+  return [p, e2, e3]
+}
+
+/**
+ * The rigid motion of the sphere that produces a Möbius transformation
+ * (Arnold & Rogness, "Möbius Transformations Revealed").
+ *
+ * The sphere starts with radius 1 resting on the plane y = 0 (center at
+ * height 1) and projects from its top point, the plane being read as x + iz.
+ * Moving its center to (t.re, k − 1, t.im) and rotating it about its center
+ * by `rotation` (3×3, row-major) turns the projection of the original
+ * picture into its image under z ↦ (az + b) / (cz + d):
+ *
+ *   T(z) = t + k · U(z / 2),   U ∈ SU(2) the Möbius form of `rotation`
+ *
+ * Throws for a degenerate transformation (ad − bc = 0).
+ */
+export function mobiusSphereMotion(m) {
+  const { a, b, c, d } = m
+  if (cAbs2(cSub(cMul(a, d), cMul(b, c))) < POLE_EPSILON) {
+    throw new Error('Degenerate Möbius transformation: ad − bc must not be 0')
+  }
+
+  // U ∝ [[1, −t], [0, k]] · [[a, b], [c, d]] · [[2, 0], [0, 1]] is a multiple of a
+  // unitary matrix exactly for this translation t and height k
+  const norm = 4 * cAbs2(c) + cAbs2(d)
+  const t = cDiv(cAdd(cMul(complex(4), cMul(a, cConj(c))), cMul(b, cConj(d))), complex(norm))
+  const p = cSub(cMul(complex(2), a), cMul(complex(2), cMul(t, c)))
+  const q = cSub(b, cMul(t, d))
+  const k = Math.sqrt((cAbs2(p) + cAbs2(q)) / norm)
+  const u = { a: p, b: q, c: cMul(complex(2 * k), c), d: cMul(complex(k), d) }
+
+  // the rotation is fixed by where U sends two points of the sphere
+  const X = frame(liftComplex(complex(0)), liftComplex(complex(1)))
+  const Y = frame(liftComplex(applyMobius(u, complex(0))), liftComplex(applyMobius(u, complex(1))))
+  // R = F_Y · F_Xᵀ
+  const rotation = []
+  for (const i of ['x', 'y', 'z']) {
+    for (const j of ['x', 'y', 'z']) rotation.push(Y[0][i] * X[0][j] + Y[1][i] * X[1][j] + Y[2][i] * X[2][j])
+  }
+  return { translation: t, height: k, rotation, unitary: u }
+}
+
+// ---------------------
+// Azimuthal projections of the unit S² (y up)
+// ---------------------
+// Every azimuthal map sends the point at angular distance α from its center
+// direction to distance ρ(α) from the center of the plane, keeping the azimuth.
+// With the center pointing straight down, the plane is the horizontal plane
+// under the sphere and the stereographic map agrees with stereographicProject
+// from the top point.
+
+export const DOWN = { x: 0, y: -1, z: 0 }
+
+export const AZIMUTHAL_PROJECTIONS = {
+  stereographic: { radius: a => 2 * Math.tan(a / 2), inverse: r => 2 * Math.atan(r / 2), maxAngle: Math.PI },
+  gnomonic:      { radius: a => Math.tan(a),         inverse: r => Math.atan(r),         maxAngle: Math.PI / 2 },
+  orthographic:  { radius: a => Math.sin(a),         inverse: r => Math.asin(Math.min(1, r)), maxAngle: Math.PI / 2 },
+  lambert:       { radius: a => 2 * Math.sin(a / 2), inverse: r => 2 * Math.asin(Math.min(1, r / 2)), maxAngle: Math.PI },
+  equidistant:   { radius: a => a,                   inverse: r => Math.min(r, Math.PI), maxAngle: Math.PI }
+}
+
+// 3×3 rotation (row-major) taking the unit vector `from` onto the unit vector `to`
+export function rotationBetween(from, to) {
+  const c = from.x * to.x + from.y * to.y + from.z * to.z
+  if (c < -1 + 1e-9) {
+    // opposite vectors: half turn about any axis perpendicular to `from`
+    const axis = Math.abs(from.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 0, z: 1 }
+    const d = axis.x * from.x + axis.y * from.y + axis.z * from.z
+    const u = { x: axis.x - d * from.x, y: axis.y - d * from.y, z: axis.z - d * from.z }
+    const l = Math.hypot(u.x, u.y, u.z)
+    const n = [u.x / l, u.y / l, u.z / l]
+    return [0, 1, 2].flatMap(i => [0, 1, 2].map(j => 2 * n[i] * n[j] - (i === j ? 1 : 0)))
+  }
+  // Rodrigues: R = I + [v]× + [v]×² / (1 + c), v = from × to
+  const v = [from.y * to.z - from.z * to.y, from.z * to.x - from.x * to.z, from.x * to.y - from.y * to.x]
+  const K = [0, -v[2], v[1], v[2], 0, -v[0], -v[1], v[0], 0]
+  const m = []
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      let k2 = 0
+      for (let k = 0; k < 3; k++) k2 += K[i * 3 + k] * K[k * 3 + j]
+      m.push((i === j ? 1 : 0) + K[i * 3 + j] + k2 / (1 + c))
+    }
+  }
+  return m
+}
+
+export function applyMatrix3(m, p) {
+  return {
+    x: m[0] * p.x + m[1] * p.y + m[2] * p.z,
+    y: m[3] * p.x + m[4] * p.y + m[5] * p.z,
+    z: m[6] * p.x + m[7] * p.y + m[8] * p.z
+  }
+}
+
+/**
+ * Azimuthal projection of the unit vector p, centered on the direction
+ * `center` (the antipode of the projection pole). Returns the offset {x, z}
+ * in the plane, or null where the map is undefined (the pole itself, or the
+ * far hemisphere for the gnomonic and orthographic maps).
+ */
+export function azimuthalProject(p, projection, center = DOWN) {
+  const q = applyMatrix3(rotationBetween(center, DOWN), p)
+  const alpha = Math.acos(Math.min(1, Math.max(-1, -q.y)))
+  if (alpha > projection.maxAngle - 1e-6) return null
+  const rho = projection.radius(alpha)
+  const h = Math.hypot(q.x, q.z)
+  if (h < 1e-12) return { x: 0, z: 0 }
+  return { x: rho * q.x / h, z: rho * q.z / h }
+}
+
+/**
+ * Inverse of azimuthalProject: the unit vector whose image is the plane offset
+ * {x, z}, or null beyond the edge of the map's image (the unit disc of the
+ * orthographic map, say).
+ */
+export function azimuthalLift(offset, projection, center = DOWN) {
+  const rho = Math.hypot(offset.x, offset.z)
+  if (rho > projection.radius(projection.maxAngle)) return null
+  const alpha = projection.inverse(rho)
+  const s = rho < 1e-12 ? 0 : Math.sin(alpha) / rho
+  const q = { x: offset.x * s, y: -Math.cos(alpha), z: offset.z * s }
+  // back through the transpose of the rotation azimuthalProject applies
+  const m = rotationBetween(center, DOWN)
+  return applyMatrix3([m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]], q)
+}
+
+/**
+ * Principal scale factors of an azimuthal map at angular distance α from its
+ * center: radial h = ρ′(α), tangential k = ρ(α) / sin α. Tissot's indicatrix
+ * there is an ellipse with semi-axes h and k; the map is conformal where
+ * h = k and equal-area where h·k = 1.
+ */
+export function azimuthalScale(projection, alpha) {
+  const eps = 1e-5
+  const a = Math.max(alpha, eps)
+  const radial = (projection.radius(a + eps) - projection.radius(a - eps)) / (2 * eps)
+  const tangential = projection.radius(a) / Math.sin(a)
+  return {
+    radial,
+    tangential,
+    area: radial * tangential,
+    angular: Math.max(radial, tangential) / Math.min(radial, tangential)
+  }
+}
+
+// circle of angular radius `angle` around the unit vector n, segments + 1 samples
+export function smallCircle(n, angle, segments = 32) {
+  const helper = Math.abs(n.y) < 0.9 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 }
+  const cross = (p, q) => ({ x: p.y * q.z - p.z * q.y, y: p.z * q.x - p.x * q.z, z: p.x * q.y - p.y * q.x })
+  const e1 = cross(n, helper)
+  const l = Math.hypot(e1.x, e1.y, e1.z)
+  e1.x /= l; e1.y /= l; e1.z /= l
+  const e2 = cross(n, e1)
+  const c = Math.cos(angle), s = Math.sin(angle)
+  const points = []
+  for (let i = 0; i <= segments; i++) {
+    const t = (i / segments) * Math.PI * 2
+    const u = Math.cos(t) * s, v = Math.sin(t) * s
+    points.push({ x: c * n.x + u * e1.x + v * e2.x, y: c * n.y + u * e1.y + v * e2.y, z: c * n.z + u * e1.z + v * e2.z })
+  }
+  return points
+}
+
+// ---------------------
+// Circles on the unit S² and their stereographic images
+// ---------------------
+// A circle on the sphere is where a plane cuts it: { axis, offset } stands for
+// the points x with axis · x = offset, axis a unit vector and offset ∈ [0, 1)
+// the cosine of the angular radius around it (0 for a great circle). Here the
+// sphere is y-up like the azimuthal maps above.
+
+/**
+ * The circle through three points of the unit sphere, or null when they don't
+ * fix one (two of them coincide).
+ */
+export function circleThroughPoints(a, b, c) {
+  const n = cross(sub(b, a), sub(c, a))
+  const len = Math.hypot(n.x, n.y, n.z)
+  if (len < 1e-9) return null
+  let axis = { x: n.x / len, y: n.y / len, z: n.z / len }
+  let offset = dot(axis, a)
+  if (offset < 0) {
+    axis = { x: -axis.x, y: -axis.y, z: -axis.z }
+    offset = -offset
+  }
+  return { axis, offset: Math.min(offset, 1) }
+}
+
+// how far p is from the circle's plane, roughly its distance to the circle near it
+export function distanceToCircle({ axis, offset }, p) {
+  return Math.abs(dot(axis, p) - offset)
+}
+
+// samples of the circle, segments + 1 so the loop closes
+export function circlePoints({ axis, offset }, segments = 128) {
+  return smallCircle(axis, Math.acos(offset), segments)
+}
+
+// the unit tangent of the circle at its point p
+export function circleTangent({ axis }, p) {
+  const t = cross(axis, p)
+  const len = Math.hypot(t.x, t.y, t.z)
+  return { x: t.x / len, y: t.y / len, z: t.z / len }
+}
+
+/**
+ * Where two circles meet: none, one (they touch) or two points. Circles in
+ * parallel planes, the same circle included, give none.
+ */
+export function circleIntersections(c1, c2) {
+  const u = cross(c1.axis, c2.axis)
+  const u2 = dot(u, u)
+  if (u2 < 1e-12) return []
+  // the point of the planes' common line closest to the center, then along the line
+  const c = dot(c1.axis, c2.axis)
+  const k1 = (c1.offset - c2.offset * c) / u2, k2 = (c2.offset - c1.offset * c) / u2
+  const x0 = { x: k1 * c1.axis.x + k2 * c2.axis.x, y: k1 * c1.axis.y + k2 * c2.axis.y, z: k1 * c1.axis.z + k2 * c2.axis.z }
+  const h2 = 1 - dot(x0, x0)
+  if (h2 < -1e-9) return []
+  const t = Math.sqrt(Math.max(0, h2) / u2)
+  const at = s => ({ x: x0.x + s * u.x, y: x0.y + s * u.y, z: x0.z + s * u.z })
+  return t < 1e-9 ? [at(0)] : [at(-t), at(t)]
+}
+
+// the angle in [0, π/2] between two lines with directions u and v
+export function lineAngle(u, v) {
+  const cos = Math.abs(dot(u, v)) / Math.sqrt(dot(u, u) * dot(v, v))
+  return Math.acos(Math.min(1, cos))
+}
+
+/**
+ * The stereographic image of a circle, in the plane of azimuthalProject with
+ * the same `center` (the projection pole is its antipode): { line: false,
+ * center: {x, z}, radius }, or { line: true, point: {x, z}, direction: {x, z} }
+ * when the circle passes through the pole. Null for a circle shrunk to the pole.
+ *
+ * With the pole at N = (0, 1, 0) and the plane y = −1, the point (u, −1, v) lifts
+ * to (su, 1 − 2s, sv) with s = 4 / (u² + v² + 4); putting that into axis · x =
+ * offset gives the circle (u − 2a/k)² + (v − 2c/k)² = 4(1 − offset²) / k² with
+ * k = offset − b, for axis (a, b, c), and the line au + cv = 2b when k = 0.
+ */
+export function stereographicImageOfCircle({ axis, offset }, center = DOWN) {
+  const n = applyMatrix3(rotationBetween(center, DOWN), axis)
+  const k = offset - n.y
+  const h2 = n.x * n.x + n.z * n.z
+  if (Math.abs(k) < 1e-9) {
+    if (h2 < 1e-12) return null
+    const h = Math.sqrt(h2)
+    return { line: true, point: { x: 2 * n.y * n.x / h2, z: 2 * n.y * n.z / h2 }, direction: { x: -n.z / h, z: n.x / h } }
+  }
+  return {
+    line: false,
+    center: { x: 2 * n.x / k, z: 2 * n.z / k },
+    radius: 2 * Math.sqrt(Math.max(0, 1 - offset * offset)) / Math.abs(k)
+  }
+}
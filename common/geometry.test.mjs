@@ -0,0 +1,304 @@
+// =====================
+// SHARED GEOMETRY TESTS
+// =====================
+// Checks the math of geometry.js against what it should be in theory. Needs
+// nothing but Node (18 or later):
+//
+//   node --test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  sphericalToCartesian, hopfMap, hopfFiberPoint, hopfFiberPoints, hopfFiberFrame,
+  stereographicFromS3, inverseStereographicToS3, stereographicProject, inverseStereographicProject,
+  latitudeCircle, longitudeCircle, projectGreatCircle, toYUp, gaussLinkingNumber, hopfLinkingNumber,
+  DOWN, AZIMUTHAL_PROJECTIONS, azimuthalProject, azimuthalLift, circleThroughPoints, distanceToCircle, circlePoints,
+  circleTangent, circleIntersections, lineAngle, stereographicImageOfCircle
+} from './geometry.js'
+
+// |actual − expected| ≤ tolerance, with both numbers in the message
+function near(actual, expected, tolerance = 1e-9, what = 'value') {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${what}: ${actual} is not within ${tolerance} of ${expected}`)
+}
+
+const distance = (p, q) => Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z)
+const length4 = q => Math.hypot(q.x, q.y, q.z, q.w)
+
+// base points all over S², the poles and the date line included
+const BASES = [
+  [0, 0], [Math.PI, 0], [Math.PI / 2, 0], [Math.PI / 2, Math.PI], [0.3, -2.1],
+  [1.1, 0.7], [2.5, 3.0], [3.1, -0.4], [1e-6, 1.2], [Math.PI - 1e-6, -3.1]
+].map(([theta, phi]) => sphericalToCartesian(theta, phi))
+
+// the points of a circle in ℝ³ all lie in one plane and at one distance from their center
+function assertCircle(points, tolerance = 1e-9) {
+  const [p1, p2, p3] = [0, Math.floor(points.length / 3), Math.floor(2 * points.length / 3)].map(i => points[i])
+  const u = { x: p1.x - p3.x, y: p1.y - p3.y, z: p1.z - p3.z }
+  const v = { x: p2.x - p3.x, y: p2.y - p3.y, z: p2.z - p3.z }
+  const n = { x: u.y * v.z - u.z * v.y, y: u.z * v.x - u.x * v.z, z: u.x * v.y - u.y * v.x }
+  const n2 = n.x * n.x + n.y * n.y + n.z * n.z
+  const u2 = u.x * u.x + u.y * u.y + u.z * u.z, v2 = v.x * v.x + v.y * v.y + v.z * v.z
+  const w = { x: u2 * v.x - v2 * u.x, y: u2 * v.y - v2 * u.y, z: u2 * v.z - v2 * u.z }
+  const c = { x: w.y * n.z - w.z * n.y, y: w.z * n.x - w.x * n.z, z: w.x * n.y - w.y * n.x }
+  const center = { x: p3.x + c.x / (2 * n2), y: p3.y + c.y / (2 * n2), z: p3.z + c.z / (2 * n2) }
+  const radius = distance(center, p3), len = Math.sqrt(n2)
+  points.forEach((p, i) => {
+    near(distance(p, center), radius, tolerance * Math.max(1, radius), `distance of point ${i} from the center`)
+    near(((p.x - p3.x) * n.x + (p.y - p3.y) * n.y + (p.z - p3.z) * n.z) / len, 0, tolerance * Math.max(1, radius), `height of point ${i} over the plane`)
+  })
+  return { center, radius }
+}
+
+// ---------------------
+// Hopf map
+// ---------------------
+
+test('every fiber point maps back to its base point', () => {
+  BASES.forEach(n => {
+    hopfFiberPoints(n, 64).forEach(q => {
+      near(length4(q), 1, 1e-12, '|q|')
+      const back = hopfMap(q)
+      near(distance(back, n), 0, 1e-9, 'distance from the base point')
+    })
+  })
+})
+
+test('the fiber frame spans the fiber', () => {
+  BASES.forEach(n => {
+    const { a, b } = hopfFiberFrame(n)
+    near(a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w, 0, 1e-12, 'a · b')
+    ;[0.4, 1.9, 4.4].forEach(t => {
+      const q = hopfFiberPoint(n, t)
+      const c = Math.cos(t), s = Math.sin(t)
+      near(length4({ x: q.x - a.x * c - b.x * s, y: q.y - a.y * c - b.y * s, z: q.z - a.z * c - b.z * s, w: q.w - a.w * c - b.w * s }), 0, 1e-12, 'a cos t + b sin t − q')
+    })
+  })
+})
+
+// ---------------------
+// Stereographic projection S³ → ℝ³
+// ---------------------
+
+test('the projection from S³ and its inverse undo each other', () => {
+  ;[{ x: 0, y: 0, z: 0 }, { x: 1, y: -2, z: 0.5 }, { x: 40, y: 3, z: -7 }].forEach(p => {
+    const q = inverseStereographicToS3(p)
+    near(length4(q), 1, 1e-12, '|q|')
+    near(distance(stereographicFromS3(q), p), 0, 1e-9 * Math.max(1, Math.hypot(p.x, p.y, p.z) ** 2), 'round trip')
+  })
+})
+
+test('the pole w = 1 has no image in ℝ³', () => {
+  assert.equal(stereographicFromS3({ x: 0, y: 0, z: 0, w: 1 }), null)
+  assert.notEqual(stereographicFromS3({ x: 0, y: 0, z: 0, w: -1 }), null)
+})
+
+test('fibers project to circles, and the fiber through the pole to a line', () => {
+  BASES.filter(n => n.z > -0.99).forEach(n => {
+    const { a, b } = hopfFiberFrame(n)
+    assertCircle(projectGreatCircle(a, b, 96).slice(0, 96), 1e-7)
+  })
+  // the fiber over the South Pole is z₁ = 0, which runs through (0, 0, 0, 1)
+  const { a, b } = hopfFiberFrame({ x: 0, y: 0, z: -1 })
+  const line = projectGreatCircle(a, b, 96, 50)
+  assert.equal(line.length, 2)
+  line.forEach(p => assert.ok(Object.values(p).every(Number.isFinite)))
+  near(distance(line[0], line[1]), 100, 1e-6, 'length of the line')
+})
+
+// ---------------------
+// Stereographic projection S² → plane
+// ---------------------
+// The unit sphere at the origin, projected from its top point (0, 1, 0) onto
+// the plane y = −1 under it, as in the stereographic exhibit.
+
+const POLE = { x: 0, y: 1, z: 0 }
+const project = p => stereographicProject(toYUp(p), POLE, -1)
+
+test('latitudes project to circles around the foot of the pole', () => {
+  ;[-0.95, -0.5, 0, 0.3, 0.8, 0.99].forEach(z => {
+    const images = latitudeCircle(z, 64).map(project)
+    images.forEach(q => near(q.y, -1, 1e-12, 'height of the image'))
+    // the image of the parallel at height z has radius 2√((1 + z) / (1 − z))
+    const { center, radius } = assertCircle(images)
+    near(distance(center, { x: 0, y: -1, z: 0 }), 0, 1e-9, 'distance of the center from the foot')
+    near(radius, 2 * Math.sqrt((1 + z) / (1 - z)), 1e-9 * Math.max(1, radius), 'radius')
+  })
+})
+
+test('longitudes project to lines through the foot of the pole', () => {
+  ;[0, 1, -2.5].forEach(phi => {
+    const images = longitudeCircle(phi, 64).map(project).filter(Boolean)
+    // (x, z) of every image is a multiple of the direction (cos φ, sin φ)
+    images.forEach(q => near(q.x * Math.sin(phi) - q.z * Math.cos(phi), 0, 1e-9 * Math.max(1, Math.hypot(q.x, q.z)), 'distance from the line'))
+  })
+})
+
+test('the projection pole has no image, and the plane lifts back onto the sphere', () => {
+  assert.equal(stereographicProject(POLE, POLE, -1), null)
+  const center = { x: 0, y: 0, z: 0 }
+  ;[{ x: 0, y: -1, z: 0 }, { x: 3, y: -1, z: -1 }, { x: -200, y: -1, z: 50 }].forEach(q => {
+    const p = inverseStereographicProject(q, center, 1)
+    near(Math.hypot(p.x, p.y, p.z), 1, 1e-9, '|p|')
+    near(distance(stereographicProject(p, POLE, -1), q), 0, 1e-7 * Math.max(1, Math.hypot(q.x, q.z)), 'round trip')
+  })
+  // the pole itself lifts to the pole
+  near(distance(inverseStereographicProject(POLE, center, 1), POLE), 0, 0, 'lift of the pole')
+})
+
+// ---------------------
+// Linking numbers
+// ---------------------
+
+// a circle of radius r around the axis `axis` through `center`, in ℝ³
+function ring(center, r, axis, segments = 128) {
+  const points = []
+  for (let i = 0; i < segments; i++) {
+    const t = (i / segments) * Math.PI * 2, c = r * Math.cos(t), s = r * Math.sin(t)
+    points.push(axis === 'z' ? { x: center.x + c, y: center.y + s, z: center.z } : { x: center.x + c, y: center.y, z: center.z + s })
+  }
+  return points
+}
+
+test('the Gauss integral counts how often two circles link', () => {
+  const origin = { x: 0, y: 0, z: 0 }
+  near(Math.abs(gaussLinkingNumber(ring(origin, 1, 'z'), ring({ x: 1, y: 0, z: 0 }, 1, 'y'))), 1, 1e-6, '|Hopf link|')
+  near(gaussLinkingNumber(ring(origin, 1, 'z'), ring({ x: 3, y: 0, z: 0 }, 1, 'y')), 0, 1e-6, 'circles apart')
+  near(gaussLinkingNumber(ring(origin, 1, 'z'), ring({ x: 0, y: 0, z: 1 }, 0.5, 'z')), 0, 1e-6, 'stacked circles')
+})
+
+test('any two distinct Hopf fibers link once, all with the same sign', () => {
+  const pairs = [
+    ...BASES.flatMap((n1, i) => BASES.slice(i + 1).map(n2 => [n1, n2])),
+    // a pair whose best projection pole is the pole itself
+    [sphericalToCartesian(1.1, 0.7), sphericalToCartesian(0.01, 0)]
+  ]
+  const numbers = pairs.map(([n1, n2]) => hopfLinkingNumber(n1, n2))
+  numbers.forEach((lk, i) => near(Math.abs(lk), 1, 1e-4, `|linking number| of pair ${i}`))
+  numbers.forEach((lk, i) => assert.equal(Math.sign(lk), Math.sign(numbers[0]), `sign of pair ${i}`))
+  // and it does not depend on the order
+  near(hopfLinkingNumber(BASES[5], BASES[6]), hopfLinkingNumber(BASES[6], BASES[5]), 1e-6, 'swapped pair')
+})
+
+test('fibers over close base points still link once', () => {
+  const n = sphericalToCartesian(1.1, 0.7)
+  ;[1e-2, 1e-4, 1e-5].forEach(d => {
+    near(hopfLinkingNumber(n, sphericalToCartesian(1.1 + d, 0.7 - d)), hopfLinkingNumber(n, BASES[0]), 1e-4, `base points ${d} apart`)
+  })
+})
+
+test('a fiber has no linking number with itself', () => {
+  BASES.forEach(n => assert.ok(Number.isNaN(hopfLinkingNumber(n, n))))
+})
+
+// ---------------------
+// Azimuthal projections
+// ---------------------
+
+test('every azimuthal map lifts its images back to where they came from', () => {
+  const l = Math.hypot(0.3, -0.8, 0.5)
+  const centers = [DOWN, { x: 0, y: 1, z: 0 }, { x: 0.3 / l, y: -0.8 / l, z: 0.5 / l }]
+  Object.entries(AZIMUTHAL_PROJECTIONS).forEach(([name, projection]) => {
+    centers.forEach(center => BASES.map(p => toYUp(p)).forEach((p, i) => {
+      const q = azimuthalProject(p, projection, center)
+      // the far side of a hemisphere map, or the pole itself
+      if (!q || Math.hypot(q.x, q.z) > 1e6) return
+      near(distance(azimuthalLift(q, projection, center), p), 0, 1e-7, `${name} lift of point ${i}`)
+    }))
+  })
+  // beyond the rim of the disc a hemisphere map fills, nothing lifts
+  assert.equal(azimuthalLift({ x: 1.2, z: 0 }, AZIMUTHAL_PROJECTIONS.orthographic), null)
+  assert.equal(azimuthalLift({ x: 0, z: -2.5 }, AZIMUTHAL_PROJECTIONS.lambert), null)
+})
+
+// ---------------------
+// Circles and angles under stereographic projection
+// ---------------------
+// The stereographic exhibit's projectPoint is azimuthalProject with the
+// stereographic map, scaled and moved under its sphere; here on the unit sphere.
+
+const STEREOGRAPHIC = AZIMUTHAL_PROJECTIONS.stereographic
+const unit = p => { const l = Math.hypot(p.x, p.y, p.z); return { x: p.x / l, y: p.y / l, z: p.z / l } }
+// projection centers: straight down as in the exhibit, and two others
+const CENTERS = [DOWN, unit({ x: 0.3, y: -0.8, z: 0.5 }), unit({ x: -1, y: 0.2, z: 0.1 })]
+const antipode = p => ({ x: -p.x, y: -p.y, z: -p.z })
+
+test('the stereographic azimuthal map is the projection from the top point', () => {
+  BASES.map(p => toYUp(p)).filter(p => p.y < 0.99).forEach(p => {
+    const q = azimuthalProject(p, STEREOGRAPHIC), r = stereographicProject(p, POLE, -1)
+    near(Math.hypot(q.x - r.x, q.z - r.z), 0, 1e-9 * Math.max(1, Math.hypot(r.x, r.z)), 'difference')
+  })
+})
+
+test('three points fix the circle through them', () => {
+  const points = [[0.4, 1], [1.3, -2], [2.2, 0.5]].map(([theta, phi]) => toYUp(sphericalToCartesian(theta, phi)))
+  const circle = circleThroughPoints(...points)
+  near(Math.hypot(circle.axis.x, circle.axis.y, circle.axis.z), 1, 1e-12, '|axis|')
+  assert.ok(circle.offset >= 0 && circle.offset < 1)
+  points.forEach((p, i) => near(distanceToCircle(circle, p), 0, 1e-12, `distance of point ${i}`))
+  circlePoints(circle, 32).forEach(p => {
+    near(Math.hypot(p.x, p.y, p.z), 1, 1e-12, '|sample|')
+    near(distanceToCircle(circle, p), 0, 1e-12, 'distance of a sample')
+  })
+  // two equal points fix no circle
+  assert.equal(circleThroughPoints(points[0], points[0], points[1]), null)
+})
+
+test('circles project onto the predicted circles', () => {
+  const circles = [
+    circleThroughPoints(...[[0.4, 1], [1.3, -2], [2.2, 0.5]].map(([t, p]) => toYUp(sphericalToCartesian(t, p)))),
+    { axis: { x: 0, y: 1, z: 0 }, offset: 0.5 },
+    { axis: unit({ x: 1, y: 1, z: -1 }), offset: 0 },
+    { axis: unit({ x: -0.2, y: 0.1, z: 0.9 }), offset: 0.8 }
+  ]
+  CENTERS.forEach(center => circles.forEach(circle => {
+    const image = stereographicImageOfCircle(circle, center)
+    if (image.line) return
+    circlePoints(circle, 48).forEach(p => {
+      const q = azimuthalProject(p, STEREOGRAPHIC, center)
+      near(Math.hypot(q.x - image.center.x, q.z - image.center.z), image.radius, 1e-9 * Math.max(1, image.radius), 'distance of an image from the center')
+    })
+  }))
+})
+
+test('circles through the projection pole project onto the predicted lines', () => {
+  CENTERS.forEach(center => {
+    // the circles through the pole and two more points
+    const pole = antipode(center)
+    ;[[[1, 2], [2, -1]], [[0.7, 0], [2.9, 1.5]]].forEach(pair => {
+      const circle = circleThroughPoints(pole, ...pair.map(([t, p]) => toYUp(sphericalToCartesian(t, p))))
+      const image = stereographicImageOfCircle(circle, center)
+      assert.ok(image.line, 'the image is a line')
+      circlePoints(circle, 48).forEach(p => {
+        const q = azimuthalProject(p, STEREOGRAPHIC, center)
+        if (!q) return
+        const dx = q.x - image.point.x, dz = q.z - image.point.z
+        near(dx * image.direction.z - dz * image.direction.x, 0, 1e-7 * Math.max(1, Math.hypot(dx, dz)), 'distance of an image from the line')
+      })
+    })
+  })
+})
+
+test('the angle between two crossing circles is kept', () => {
+  const circles = [
+    [{ axis: { x: 0, y: 1, z: 0 }, offset: 0.3 }, { axis: unit({ x: 1, y: 0, z: 0.2 }), offset: 0 }],
+    [{ axis: unit({ x: 0.5, y: 0.5, z: 0.7 }), offset: 0.4 }, { axis: unit({ x: -0.3, y: 0.9, z: 0.1 }), offset: 0.6 }]
+  ]
+  // as the exhibit measures it: the image directions between the images of small steps either way
+  const step = 1e-5
+  const imageDirection = (x, t, center) => {
+    const [back, ahead] = [-step, step].map(h => azimuthalProject(unit({ x: x.x + t.x * h, y: x.y + t.y * h, z: x.z + t.z * h }), STEREOGRAPHIC, center))
+    return { x: ahead.x - back.x, y: 0, z: ahead.z - back.z }
+  }
+  CENTERS.forEach(center => circles.forEach(([c1, c2]) => {
+    const crossings = circleIntersections(c1, c2)
+    assert.equal(crossings.length, 2)
+    crossings.forEach(x => {
+      near(distanceToCircle(c1, x), 0, 1e-9, 'crossing on the first circle')
+      near(distanceToCircle(c2, x), 0, 1e-9, 'crossing on the second circle')
+      const tangents = [c1, c2].map(c => circleTangent(c, x))
+      const onSphere = lineAngle(...tangents)
+      assert.ok(onSphere > 0.1, 'the circles cross at an angle')
+      near(lineAngle(...tangents.map(t => imageDirection(x, t, center))), onSphere, 1e-6, 'angle on the plane')
+    })
+  }))
+})
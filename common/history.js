@@ -0,0 +1,56 @@
+// =====================
+// UNDO / REDO
+// =====================
+// A linear history of snapshots. Each exhibit decides what a snapshot holds
+// (plain data, never scene objects) and how to rebuild the scene from one;
+// this only keeps them in order.
+
+export function createHistory(limit = 100) {
+  let past = [], future = [], present = null
+
+  return {
+    // start over from `state`, e.g. after Reset
+    reset(state) {
+      past = []
+      future = []
+      present = state
+    },
+    // record the state after a change; anything that was undone is dropped
+    push(state) {
+      // nothing changed (e.g. clearing an empty scene): keep the history as it is
+      if (JSON.stringify(state) === JSON.stringify(present)) return
+      if (present !== null) past.push(present)
+      if (past.length > limit) past.shift()
+      present = state
+      future = []
+    },
+    // the state to go back to, or null when there is nothing to undo
+    undo() {
+      if (past.length === 0) return null
+      future.push(present)
+      present = past.pop()
+      return present
+    },
+    redo() {
+      if (future.length === 0) return null
+      past.push(present)
+      present = future.pop()
+      return present
+    },
+    get canUndo() { return past.length > 0 },
+    get canRedo() { return future.length > 0 }
+  }
+}
+
+// Ctrl+Z / ⌘Z undoes, with Shift (or Ctrl+Y) it redoes; typing in a field is left alone
+export function bindUndoKeys(undo, redo) {
+  window.addEventListener('keydown', event => {
+    if (!(event.ctrlKey || event.metaKey)) return
+    if (event.target.closest && event.target.closest('input[type="text"], input[type="number"], textarea')) return
+    const key = event.key.toLowerCase()
+    if (key === 'z' && !event.shiftKey) undo()
+    else if ((key === 'z' && event.shiftKey) || key === 'y') redo()
+    else return
+    event.preventDefault()
+  })
+}
@@ -0,0 +1,54 @@
+// =====================
+// HOVER READOUT
+// =====================
+// A small label that follows the pointer with the numbers behind what is
+// under it. The exhibits do their own raycasting and pass in plain text lines.
+
+const OFFSET = 18
+
+export function createHoverReadout(element) {
+  return {
+    show(clientX, clientY, lines) {
+      element.textContent = lines.join('\n')
+      element.style.display = 'block'
+      // keep the label on screen near the right and bottom edges
+      const { width, height } = element.getBoundingClientRect()
+      const x = clientX + OFFSET + width > window.innerWidth ? clientX - OFFSET - width : clientX + OFFSET
+      const y = clientY + OFFSET + height > window.innerHeight ? clientY - OFFSET - height : clientY + OFFSET
+      element.style.left = `${x}px`
+      element.style.top = `${y}px`
+    },
+    hide() {
+      element.style.display = 'none'
+    }
+  }
+}
+
+// runs `handler` with the latest pointer event at most once per frame, and
+// `onLeave` once the pointer has left (a frame still due is dropped then)
+export function onPointerHover(target, handler, onLeave) {
+  let pending = null
+  let frame = 0
+  target.addEventListener('pointermove', event => {
+    if (pending === null) frame = requestAnimationFrame(() => { handler(pending); pending = null })
+    pending = event
+  })
+  target.addEventListener('pointerleave', event => {
+    cancelAnimationFrame(frame)
+    pending = null
+    onLeave(event)
+  })
+}
+
+const minus = x => (x < 0 ? '−' : '')
+
+export const formatNumber = (x, digits = 3) => `${minus(x)}${Math.abs(x).toFixed(digits)}`
+
+// a + bi with a proper minus sign
+export function formatComplex(re, im, digits = 3) {
+  return `${formatNumber(re, digits)} ${im < 0 ? '−' : '+'} ${Math.abs(im).toFixed(digits)}i`
+}
+
+export const formatDegrees = radians => `${formatNumber(radians * 180 / Math.PI, 1)}°`
+
+export const formatPoint = (p, digits = 3) => `(${[p.x, p.y, p.z].map(n => formatNumber(n, digits)).join(', ')})`
@@ -0,0 +1,56 @@
+// =====================
+// KIOSK MODE
+// =====================
+// For an exhibit left running unattended, e.g. in a museum. Opening a page
+// with ?kiosk (or ?kiosk=<seconds>) resets the exhibit after that long without
+// input, so every visitor starts from the beginning, and keeps visitors on the
+// page: the back button, links, dropped files and the context menu lead nowhere.
+
+const DEFAULT_IDLE = 120
+
+const ACTIVITY = ['pointerdown', 'pointermove', 'wheel', 'keydown', 'touchstart']
+const NAVIGATION_KEYS = ['BrowserBack', 'BrowserForward', 'BrowserHome']
+
+/**
+ * The idle time in seconds asked for by `search` (a location.search), or null
+ * outside kiosk mode. A bare ?kiosk, or one that isn't a positive number of
+ * seconds, gives the default.
+ */
+export function kioskIdleSeconds(search) {
+  const params = new URLSearchParams(search)
+  if (!params.has('kiosk')) return null
+  const seconds = Number(params.get('kiosk'))
+  return params.get('kiosk') !== '' && seconds > 0 ? seconds : DEFAULT_IDLE
+}
+
+/**
+ * Calls `onIdle` once after `idle` seconds without input (again only after the
+ * next input) and blocks navigation away from the page.
+ */
+export function startKiosk({ idle = DEFAULT_IDLE, onIdle }) {
+  let timer = null
+  const restart = () => {
+    clearTimeout(timer)
+    timer = setTimeout(onIdle, idle * 1000)
+  }
+  ACTIVITY.forEach(type => window.addEventListener(type, restart, { capture: true, passive: true }))
+  restart()
+
+  // Back lands on an extra entry of this page, which puts itself back
+  history.pushState(history.state, '', window.location.href)
+  window.addEventListener('popstate', () => history.pushState(history.state, '', window.location.href))
+
+  document.addEventListener('click', event => {
+    const link = event.target.closest && event.target.closest('a[href]')
+    if (link && new URL(link.href, window.location.href).pathname !== window.location.pathname) event.preventDefault()
+  }, true)
+
+  window.addEventListener('keydown', event => {
+    const altArrow = event.altKey && (event.key === 'ArrowLeft' || event.key === 'ArrowRight' || event.key === 'Home')
+    if (altArrow || NAVIGATION_KEYS.includes(event.key)) event.preventDefault()
+  }, true)
+
+  // a file dropped anywhere else would be opened in place of the page
+  ;['dragover', 'drop'].forEach(type => window.addEventListener(type, event => event.preventDefault()))
+  window.addEventListener('contextmenu', event => event.preventDefault())
+}
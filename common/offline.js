@@ -0,0 +1,14 @@
+// =====================
+// OFFLINE
+// =====================
+// Registers the service worker (sw.js at the root of the lab), which caches
+// every page for use without a connection. Pages opened from disk (file://)
+// or over plain http from another machine cannot have one, and run as before.
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return
+  // relative to this module, so it works from the landing page and the exhibits alike
+  navigator.serviceWorker.register(new URL('../sw.js', import.meta.url))
+    // without it the pages just need a connection, as they did before
+    .catch(() => {})
+}
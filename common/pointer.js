@@ -0,0 +1,120 @@
+// =====================
+// POINTER & KEYBOARD
+// =====================
+// Input shared by the exhibits. Mouse, touch and pen all arrive as pointer
+// events; a selection is a tap, so orbit drags and pinch-zooms select nothing.
+// For the keyboard, a cursor walks over the sphere in latitude and longitude.
+
+import { sphericalToCartesian } from './geometry.js';
+
+// how far (CSS pixels) a tap may wander before it counts as a drag
+const TAP_SLOP = { mouse: 4, pen: 8, touch: 12 }
+
+// pointer position in normalized device coordinates (−1 to +1) of `element`
+export function pointerToNDC(event, element, target) {
+  const rect = element.getBoundingClientRect()
+  target.x = ((event.clientX - rect.left) / rect.width) * 2 - 1
+  target.y = -((event.clientY - rect.top) / rect.height) * 2 + 1
+  return target
+}
+
+/**
+ * Calls `handler(event)` on pointerup when the pointer went down and up on
+ * `element` without dragging. Gestures that use a second finger (pinch-zoom,
+ * two-finger pan) never tap, and neither do right or middle clicks.
+ */
+export function onTap(element, handler) {
+  const down = new Map()
+  let multiTouch = false
+
+  element.addEventListener('pointerdown', event => {
+    if (event.button !== 0) return
+    down.set(event.pointerId, { x: event.clientX, y: event.clientY, moved: false })
+    if (down.size > 1) multiTouch = true
+  })
+  element.addEventListener('pointermove', event => {
+    const start = down.get(event.pointerId)
+    if (!start || start.moved) return
+    const slop = TAP_SLOP[event.pointerType] || TAP_SLOP.mouse
+    if (Math.hypot(event.clientX - start.x, event.clientY - start.y) > slop) start.moved = true
+  })
+
+  const release = event => {
+    const start = down.get(event.pointerId)
+    down.delete(event.pointerId)
+    const tap = start && !start.moved && !multiTouch && event.type === 'pointerup'
+    // the gesture ends when its last finger lifts
+    if (down.size === 0) multiTouch = false
+    if (tap) handler(event)
+  }
+  element.addEventListener('pointerup', release)
+  element.addEventListener('pointercancel', release)
+}
+
+const STEP = 5
+const LARGE_STEP = 15
+
+const wrapLongitude = lon => ((lon + 540) % 360) - 180
+
+/**
+ * Makes `element` (the canvas) focusable and drives a cursor on the unit sphere
+ * from its arrow keys: ↑/↓ change the latitude, ←/→ the longitude, 5° a step or
+ * 15° with Shift. Enter or Space selects, Home goes back to (0°, 0°), Escape
+ * hides the cursor until the next key.
+ *
+ *   onMove(p)     the cursor moved to p (z-up unit vector), or appeared there
+ *   onSelect(p)   Enter or Space
+ *   onHide()      focus left the canvas, or Escape
+ *
+ * `status` (optional) is an aria-live element told the cursor position, and
+ * `enabled` (optional) says whether the element shows the sphere at the moment;
+ * keys and focus are ignored while it doesn't.
+ */
+export function createSphereCursor(element, { onMove, onSelect, onHide, status, enabled = () => true }) {
+  let latitude = 0
+  let longitude = 0
+  let shown = false
+
+  element.tabIndex = 0
+  const point = () => sphericalToCartesian((90 - latitude) * Math.PI / 180, longitude * Math.PI / 180)
+
+  const announce = () => {
+    if (status) status.textContent = `Latitude ${latitude}°, longitude ${longitude}°`
+  }
+  const move = () => {
+    shown = true
+    announce()
+    onMove(point())
+  }
+  const hide = () => {
+    if (!shown) return
+    shown = false
+    onHide()
+  }
+
+  element.addEventListener('keydown', event => {
+    if (event.ctrlKey || event.metaKey || event.altKey || !enabled()) return
+    const step = event.shiftKey ? LARGE_STEP : STEP
+    switch (event.key) {
+      case 'ArrowUp': latitude = Math.min(90, latitude + step); break
+      case 'ArrowDown': latitude = Math.max(-90, latitude - step); break
+      case 'ArrowLeft': longitude = wrapLongitude(longitude - step); break
+      case 'ArrowRight': longitude = wrapLongitude(longitude + step); break
+      case 'Home': latitude = 0; longitude = 0; break
+      case 'Enter':
+      case ' ':
+        event.preventDefault()
+        if (!shown) move()
+        onSelect(point())
+        return
+      case 'Escape': hide(); return
+      default: return
+    }
+    // arrows would otherwise scroll the page
+    event.preventDefault()
+    move()
+  })
+  // the cursor shows up as soon as the canvas gets keyboard focus (not on a mouse click)
+  element.addEventListener('focus', () => { if (enabled() && element.matches(':focus-visible')) move() })
+  element.addEventListener('blur', hide)
+}
@@ -0,0 +1,115 @@
+// =====================
+// PRECISE INPUT
+// =====================
+// Typed coordinates and parameter sliders for the exhibits, next to clicking.
+// The panel only reads and checks the numbers; the exhibit applies them
+// through the same code as a click. Points are handed over on the unit
+// sphere with z up, the convention of common/geometry.js.
+
+import { sphericalToCartesian } from './geometry.js';
+
+const toRadians = degrees => degrees * Math.PI / 180
+
+/**
+ * A base point from typed values, or an error message.
+ *   form 'spherical': [θ, φ] in degrees, θ measured from the North Pole
+ *   form 'cartesian': [x, y, z], scaled onto the sphere
+ */
+export function basePointFromInput(form, values) {
+  if (values.some(v => !Number.isFinite(v))) return { error: 'Fill in every coordinate.' }
+  if (form === 'spherical') {
+    const [theta, phi] = values
+    if (theta < 0 || theta > 180) return { error: 'θ must be between 0° and 180°.' }
+    return { point: sphericalToCartesian(toRadians(theta), toRadians(phi)) }
+  }
+  const [x, y, z] = values
+  const r = Math.hypot(x, y, z)
+  if (r < 1e-9) return { error: '(0, 0, 0) is not a direction.' }
+  return { point: { x: x / r, y: y / r, z: z / r } }
+}
+
+// a point on the parallel at `latitude` degrees (on the meridian φ = 0)
+export const latitudePoint = latitude => sphericalToCartesian(toRadians(90 - latitude), 0)
+
+// a point on the meridian at `longitude` degrees (on the equator)
+export const longitudePoint = longitude => sphericalToCartesian(Math.PI / 2, toRadians(longitude))
+
+function element(tag, className, props = {}) {
+  const el = document.createElement(tag)
+  if (className) el.className = className
+  Object.assign(el, props)
+  return el
+}
+
+function numberInput(placeholder, props = {}) {
+  return element('input', 'ui-number', { type: 'number', step: 'any', placeholder, ...props })
+}
+
+/**
+ * Builds the panel inside `container`.
+ *
+ *   onPoint(p)                  typed base point, z-up unit vector
+ *   onLatitude(degrees, live)   latitude slider or value; live while the slider is dragged
+ *   onLongitude(degrees, live)  the same for the longitude
+ *   onSweepEnd()                the slider was let go
+ */
+export function createPreciseInput(container, { onPoint, onLatitude, onLongitude, onSweepEnd }) {
+  container.append(element('div', 'ui-heading', { textContent: 'Precise Input' }))
+
+  // --- base point ---
+  const form = element('select', 'ui-select', { ariaLabel: 'Coordinate form' })
+  form.append(
+    element('option', '', { value: 'spherical', textContent: 'θ, φ (degrees)' }),
+    element('option', '', { value: 'cartesian', textContent: 'x, y, z' })
+  )
+  const fields = element('div', 'ui-number-row')
+  const inputs = [numberInput('θ'), numberInput('φ'), numberInput('z')]
+  fields.append(...inputs)
+  const placeBtn = element('button', 'ui-button', { type: 'button', textContent: 'Place Point' })
+  const message = element('div', 'ui-input-error', { role: 'alert' })
+
+  const showForm = () => {
+    const cartesian = form.value === 'cartesian'
+    ;['x', 'y', 'z'].forEach((name, i) => {
+      inputs[i].placeholder = cartesian ? name : ['θ', 'φ'][i] || ''
+      inputs[i].ariaLabel = cartesian ? name : ['θ, degrees from the North Pole', 'φ, degrees'][i] || ''
+    })
+    inputs[2].style.display = cartesian ? '' : 'none'
+  }
+  form.addEventListener('change', showForm)
+  showForm()
+
+  const place = () => {
+    const count = form.value === 'cartesian' ? 3 : 2
+    const values = inputs.slice(0, count).map(input => (input.value === '' ? NaN : Number(input.value)))
+    const result = basePointFromInput(form.value, values)
+    message.textContent = result.error || ''
+    if (result.point) onPoint(result.point)
+  }
+  placeBtn.addEventListener('click', place)
+  inputs.forEach(input => input.addEventListener('keydown', event => { if (event.key === 'Enter') place() }))
+
+  container.append(form, fields, placeBtn, message)
+
+  // --- latitude / longitude sliders, each with a typed value ---
+  const sweep = (label, name, min, max, onValue) => {
+    const row = element('label', 'ui-slider')
+    const range = element('input', '', { type: 'range', min, max, step: 0.5, value: 0 })
+    const value = numberInput('', { min, max, value: 0, className: 'ui-number ui-number-small', ariaLabel: `${name} in degrees` })
+    row.append(element('span', '', { textContent: label }), range, value)
+    range.addEventListener('input', () => {
+      value.value = range.value
+      onValue(Number(range.value), true)
+    })
+    range.addEventListener('change', () => onSweepEnd())
+    value.addEventListener('change', () => {
+      const v = Math.min(max, Math.max(min, Number(value.value)))
+      if (!Number.isFinite(v)) return
+      value.value = range.value = v
+      onValue(v, false)
+    })
+    container.append(row)
+  }
+  sweep('Lat', 'Latitude', -90, 90, onLatitude)
+  sweep('Lon', 'Longitude', -180, 180, onLongitude)
+}
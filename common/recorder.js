@@ -0,0 +1,109 @@
+// =====================
+// RECORDING
+// =====================
+// High-resolution stills and scripted animations of a Three.js canvas.
+// Frames are rendered on demand with a fixed time step: the script sets the
+// scene for time t, the frame is drawn and grabbed, and only then does t move
+// on. The output is the same however slow the machine is.
+
+import { Vector2 } from 'three';
+import { createZip } from './zip.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+const canvasBlob = canvas => new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+
+/**
+ * Runs `fn` with the drawing buffer enlarged `scale` times (CSS size unchanged),
+ * then puts the renderer back. The aspect ratio stays the same, so the camera
+ * needs no change. Scales beyond what the GPU can draw are clamped. `base` is
+ * the size that is enlarged: the renderer's own, unless the frame is drawn at
+ * another size than the canvas shows.
+ */
+export async function withRenderScale(renderer, scale, fn, base = renderer.getSize(new Vector2())) {
+  const size = renderer.getSize(new Vector2())
+  const ratio = renderer.getPixelRatio()
+  const limit = renderer.capabilities.maxRenderbufferSize || renderer.capabilities.maxTextureSize
+  const s = Math.min(scale, limit / Math.max(base.x, base.y))
+  renderer.setPixelRatio(1)
+  renderer.setSize(Math.round(base.x * s), Math.round(base.y * s), false)
+  try {
+    return await fn()
+  } finally {
+    renderer.setPixelRatio(ratio)
+    renderer.setSize(size.x, size.y, false)
+  }
+}
+
+// a PNG of one frame at `scale` times the window resolution; `draw` renders the
+// frame (the scene from the camera unless a page draws more than one view) and
+// `size` is the frame's size before scaling (the canvas size by default)
+export function captureStill(renderer, scene, camera, scale = 1, { draw = () => renderer.render(scene, camera), size } = {}) {
+  return withRenderScale(renderer, scale, () => {
+    draw()
+    return canvasBlob(renderer.domElement)
+  }, size)
+}
+
+// the first WebM flavour this browser can record, or null
+export function webmMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null
+  return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type)) || null
+}
+
+/**
+ * Plays a script frame by frame and records it.
+ *
+ *   step(t, i)   puts the scene in its state at time t (seconds) of frame i
+ *   format       'webm' for a video, 'png' for a zip of numbered frames
+ *   onProgress   called with the fraction done after every frame
+ *   draw, size   what a frame renders and its size, as for captureStill
+ *
+ * Resolves to a Blob. WebM frames are pushed one at a time into a canvas stream
+ * and paced at `fps`, so the video plays at the right speed.
+ */
+export async function recordAnimation({ renderer, scene, camera, step, duration, fps = 30, scale = 1, format = 'webm', onProgress = () => {}, draw = () => renderer.render(scene, camera), size }) {
+  const frames = Math.round(duration * fps)
+  const canvas = renderer.domElement
+
+  if (format === 'png') {
+    return withRenderScale(renderer, scale, async () => {
+      const files = []
+      for (let i = 0; i < frames; i++) {
+        step(i / fps, i)
+        draw()
+        const blob = await canvasBlob(canvas)
+        files.push({ name: `frame-${String(i + 1).padStart(4, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) })
+        onProgress((i + 1) / frames)
+      }
+      return new Blob([createZip(files)], { type: 'application/zip' })
+    }, size)
+  }
+
+  const mimeType = webmMimeType()
+  if (!mimeType) throw new Error('This browser cannot record WebM video')
+
+  return withRenderScale(renderer, scale, async () => {
+    // frame rate 0: the stream only takes a frame when asked to
+    const stream = canvas.captureStream(0)
+    const track = stream.getVideoTracks()[0]
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 12e6 * scale * scale })
+    const chunks = []
+    recorder.ondataavailable = event => { if (event.data.size) chunks.push(event.data) }
+    const stopped = new Promise(resolve => { recorder.onstop = resolve })
+
+    recorder.start()
+    for (let i = 0; i < frames; i++) {
+      const started = performance.now()
+      step(i / fps, i)
+      draw()
+      track.requestFrame()
+      onProgress((i + 1) / frames)
+      await sleep(Math.max(0, 1000 / fps - (performance.now() - started)))
+    }
+    recorder.stop()
+    await stopped
+    track.stop()
+    return new Blob(chunks, { type: 'video/webm' })
+  }, size)
+}
@@ -0,0 +1,74 @@
+// =====================
+// SELECTION LIST
+// =====================
+// The side panel listing what is drawn, in the order it was selected. Each row
+// has a colour swatch (click to recolour), the mode and base coordinates, and
+// buttons to hide/show or delete it. The panel only displays entries and
+// reports clicks; the exhibit owns the selections and re-renders the list.
+
+function button(label, title, onClick) {
+  const el = document.createElement('button')
+  el.className = 'selection-action'
+  el.textContent = label
+  el.title = title
+  el.ariaLabel = title
+  el.addEventListener('click', onClick)
+  return el
+}
+
+/**
+ * handlers: onToggle(id), onRecolor(id, '#rrggbb'), onDelete(id), onUndo(), onRedo()
+ * Returns { render(entries, { canUndo, canRedo }) } where each entry is
+ * { id, mode, detail, color: '#rrggbb', visible }.
+ */
+export function createSelectionList(container, { onToggle, onRecolor, onDelete, onUndo, onRedo }) {
+  const header = document.createElement('div')
+  header.className = 'selection-header'
+  const title = document.createElement('span')
+  title.textContent = 'Selections'
+  const undoBtn = button('Undo', 'Undo (Ctrl+Z)', onUndo)
+  const redoBtn = button('Redo', 'Redo (Ctrl+Shift+Z)', onRedo)
+  header.append(title, undoBtn, redoBtn)
+
+  const list = document.createElement('ol')
+  list.className = 'selection-items'
+  list.ariaLabel = 'Selections'
+  container.append(header, list)
+
+  function render(entries, { canUndo, canRedo }) {
+    undoBtn.disabled = !canUndo
+    redoBtn.disabled = !canRedo
+    container.style.display = entries.length || canUndo || canRedo ? 'block' : 'none'
+
+    list.replaceChildren(...entries.map(entry => {
+      const row = document.createElement('li')
+      row.className = 'selection-item'
+      if (!entry.visible) row.classList.add('is-hidden')
+
+      const swatch = document.createElement('input')
+      swatch.type = 'color'
+      swatch.className = 'selection-swatch'
+      swatch.value = entry.color
+      swatch.title = 'Change colour'
+      swatch.ariaLabel = `Colour of ${entry.mode} ${entry.detail}`
+      swatch.addEventListener('change', () => onRecolor(entry.id, swatch.value))
+
+      const label = document.createElement('span')
+      label.className = 'selection-label'
+      label.textContent = entry.mode
+      const detail = document.createElement('small')
+      detail.textContent = entry.detail
+      label.append(detail)
+
+      row.append(
+        swatch,
+        label,
+        button(entry.visible ? 'Hide' : 'Show', entry.visible ? 'Hide this selection' : 'Show this selection', () => onToggle(entry.id)),
+        button('×', 'Delete this selection', () => onDelete(entry.id))
+      )
+      return row
+    }))
+  }
+
+  return { render }
+}
@@ -0,0 +1,77 @@
+// =====================
+// SHAREABLE LINKS
+// =====================
+// Exhibit state lives in the URL hash as readable key=value pairs:
+// numbers are rounded and joined with commas, lists of points with semicolons,
+// e.g. #mode=point&pts=0.1,0.2,0.97;0,1,0&cam=0,2,5
+// Each exhibit decides which keys it writes and how it rebuilds from them.
+
+const DIGITS = 4
+
+export function formatNumbers(numbers, digits = DIGITS) {
+  return numbers.map(n => Number(n.toFixed(digits))).join(',')
+}
+
+// a list of numbers, or null when the value is missing or not all numbers
+export function parseNumbers(value, length) {
+  if (!value) return null
+  const numbers = value.split(',').map(Number)
+  if (numbers.some(n => !Number.isFinite(n))) return null
+  if (length !== undefined && numbers.length !== length) return null
+  return numbers
+}
+
+export const formatVector = v => formatNumbers([v.x, v.y, v.z])
+
+export function parseVector(value) {
+  const n = parseNumbers(value, 3)
+  return n && { x: n[0], y: n[1], z: n[2] }
+}
+
+export const formatVectorList = list => list.map(formatVector).join(';')
+
+export function parseVectorList(value) {
+  if (!value) return []
+  return value.split(';').map(parseVector).filter(Boolean)
+}
+
+// the state in the current hash, or null when the page was opened without one
+export function readHash() {
+  const hash = window.location.hash.slice(1)
+  return hash ? new URLSearchParams(hash) : null
+}
+
+// camera position and OrbitControls target
+export function cameraParams(camera, controls) {
+  return { cam: formatVector(camera.position), tgt: formatVector(controls.target) }
+}
+
+export function applyCameraParams(params, camera, controls) {
+  const cam = parseVector(params.get('cam'))
+  const tgt = parseVector(params.get('tgt'))
+  if (cam) camera.position.set(cam.x, cam.y, cam.z)
+  if (tgt) controls.target.set(tgt.x, tgt.y, tgt.z)
+  controls.update()
+}
+
+/**
+ * Writes the state into the address bar and copies the full link to the
+ * clipboard. Empty values are left out. Resolves to the link.
+ */
+export async function copyStateLink(state) {
+  const params = new URLSearchParams()
+  Object.entries(state).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') params.set(key, value)
+  })
+  // keep the separators readable in the link
+  const hash = params.toString().replace(/%2C/g, ',').replace(/%3B/g, ';').replace(/%3A/g, ':')
+  window.history.replaceState(null, '', `#${hash}`)
+  const link = window.location.href
+  try {
+    await navigator.clipboard.writeText(link)
+  } catch {
+    // clipboard blocked (e.g. plain http): the link is still in the address bar
+    window.prompt('Copy this link:', link)
+  }
+  return link
+}
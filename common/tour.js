@@ -0,0 +1,301 @@
+// =====================
+// GUIDED TOURS
+// =====================
+// A tour is a JSON script of steps. Each step can move the camera, pick a
+// mode, place selections, freeze the scene and show a caption; the caption
+// and the Back / Next / Play buttons take over the info panel until the tour
+// ends. The engine checks the script and moves the camera; the exhibit applies
+// everything else through its `applyStep`.
+//
+//   {
+//     "title": "From points to circles",
+//     "steps": [
+//       {
+//         "caption": "Every point of S² is a circle in S³.",
+//         "camera": { "position": [0, 2, 5], "target": [0, 0, 0] },
+//         "mode": "point",
+//         "select": [[1, 0, 0], { "theta": 60, "phi": 90 }],
+//         "clear": true,
+//         "freeze": false,
+//         "duration": 1.5,
+//         "wait": 8
+//       }
+//     ]
+//   }
+//
+// Only "caption" is required. Points are unit vectors with z up, or θ / φ in
+// degrees as in the precise input. "clear" (default true) empties the scene
+// before "select" is placed, "duration" is the camera move in seconds and
+// "wait" how long the step stays up while the tour plays on its own.
+
+import { Quaternion, Vector3 } from 'three';
+import { basePointFromInput } from './precise-input.js';
+
+const DEFAULT_DURATION = 1.5
+const DEFAULT_WAIT = 8
+
+const STEP_KEYS = ['caption', 'camera', 'mode', 'select', 'clear', 'freeze', 'duration', 'wait']
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+
+// a step point as { point } or { error }
+function tourPoint(value) {
+  if (Array.isArray(value)) {
+    if (!isVector(value)) return { error: 'expected [x, y, z]' }
+    return basePointFromInput('cartesian', value)
+  }
+  if (isObject(value)) {
+    const extra = Object.keys(value).filter(key => key !== 'theta' && key !== 'phi')
+    if (extra.length) return { error: `unknown key "${extra[0]}" (a point is [x, y, z] or { "theta", "phi" })` }
+    if (!Number.isFinite(value.theta) || !Number.isFinite(value.phi)) return { error: 'expected "theta" and "phi" in degrees' }
+    return basePointFromInput('spherical', [value.theta, value.phi])
+  }
+  return { error: 'expected [x, y, z] or { "theta": …, "phi": … }' }
+}
+
+/**
+ * Every problem in `script`, as messages naming where it is
+ * (e.g. 'steps[2].camera.position: expected [x, y, z]'). Empty if it is fine.
+ *
+ *   modes   the mode names this exhibit accepts
+ *   keys    extra step keys of this exhibit: { name: value => message or null }
+ */
+export function validateTour(script, { modes = [], keys = {} } = {}) {
+  const errors = []
+  if (!isObject(script)) return ['the script must be a JSON object with a "steps" list']
+  if ('title' in script && typeof script.title !== 'string') errors.push('title: expected text')
+  if (!Array.isArray(script.steps) || script.steps.length === 0) {
+    errors.push('steps: expected a list with at least one step')
+    return errors
+  }
+
+  script.steps.forEach((step, i) => {
+    const at = `steps[${i}]`
+    if (!isObject(step)) { errors.push(`${at}: expected an object`); return }
+
+    Object.keys(step).forEach(key => {
+      if (!STEP_KEYS.includes(key) && !(key in keys)) errors.push(`${at}: unknown key "${key}"`)
+    })
+    if (typeof step.caption !== 'string' || !step.caption.trim()) errors.push(`${at}.caption: expected text`)
+
+    if ('camera' in step) {
+      if (!isObject(step.camera)) errors.push(`${at}.camera: expected { "position", "target" }`)
+      else {
+        if (!isVector(step.camera.position)) errors.push(`${at}.camera.position: expected [x, y, z]`)
+        if ('target' in step.camera && !isVector(step.camera.target)) errors.push(`${at}.camera.target: expected [x, y, z]`)
+        Object.keys(step.camera).filter(key => key !== 'position' && key !== 'target')
+          .forEach(key => errors.push(`${at}.camera: unknown key "${key}"`))
+      }
+    }
+
+    if ('mode' in step && !modes.includes(step.mode)) {
+      errors.push(`${at}.mode: expected one of ${modes.map(m => `"${m}"`).join(', ')}`)
+    }
+    if ('select' in step) {
+      if (!Array.isArray(step.select)) errors.push(`${at}.select: expected a list of points`)
+      else {
+        if (!('mode' in step)) errors.push(`${at}.select: needs a "mode" to select in`)
+        step.select.forEach((value, j) => {
+          const { error } = tourPoint(value)
+          if (error) errors.push(`${at}.select[${j}]: ${error}`)
+        })
+      }
+    }
+
+    ;['clear', 'freeze'].forEach(key => {
+      if (key in step && typeof step[key] !== 'boolean') errors.push(`${at}.${key}: expected true or false`)
+    })
+    if ('duration' in step && !(Number.isFinite(step.duration) && step.duration >= 0)) errors.push(`${at}.duration: expected seconds (0 or more)`)
+    if ('wait' in step && !(Number.isFinite(step.wait) && step.wait > 0)) errors.push(`${at}.wait: expected seconds (more than 0)`)
+
+    Object.entries(keys).forEach(([key, check]) => {
+      if (!(key in step)) return
+      const message = check(step[key])
+      if (message) errors.push(`${at}.${key}: ${message}`)
+    })
+  })
+  return errors
+}
+
+// the step's points as z-up unit vectors (the script must be valid)
+export const stepPoints = step => (step.select || []).map(value => tourPoint(value).point)
+
+// reads a script from a URL or a File; JSON syntax errors are reported like validation errors
+async function readScript(source) {
+  const text = typeof source === 'string'
+    ? await fetch(source).then(response => {
+      if (!response.ok) throw new Error(`${source}: ${response.status} ${response.statusText}`)
+      return response.text()
+    })
+    : await source.text()
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    throw new Error(`not valid JSON (${error.message})`)
+  }
+}
+
+const ease = k => (k < 0.5 ? 4 * k * k * k : 1 - Math.pow(-2 * k + 2, 3) / 2)
+
+function element(tag, className, text) {
+  const el = document.createElement(tag)
+  if (className) el.className = className
+  if (text) el.textContent = text
+  return el
+}
+
+/**
+ * The tour player, showing in `panel` (the info panel).
+ *
+ *   camera, controls   moved together by the camera tweens (controls: OrbitControls)
+ *   modes, keys        what the exhibit's scripts may contain, see validateTour
+ *   applyStep(step)    sets the scene for a step (all but the camera and caption)
+ *   onEnd()            the tour was closed
+ *
+ * Returns { load(source), stop(), active } where `source` is a URL or a File.
+ */
+export function createTour(panel, { camera, controls, modes, keys, applyStep, onEnd = () => {} }) {
+  const saved = []
+  let script = null
+  let index = 0
+  let playing = false
+  let timer = null
+  let tween = null
+
+  // --- camera ---
+  // the direction to the camera turns on a great circle around the moving target,
+  // so the view swings around the scene instead of cutting through it
+  function moveCamera(to, duration) {
+    if (tween) cancelAnimationFrame(tween.frame)
+    tween = null
+    const target = to.target ? new Vector3(...to.target) : controls.target.clone()
+    const position = new Vector3(...to.position)
+    if (duration === 0) {
+      camera.position.copy(position)
+      controls.target.copy(target)
+      controls.update()
+      return
+    }
+
+    const fromTarget = controls.target.clone()
+    const fromOffset = camera.position.clone().sub(fromTarget)
+    const toOffset = position.clone().sub(target)
+    const turn = new Quaternion().setFromUnitVectors(fromOffset.clone().normalize(), toOffset.clone().normalize())
+    const identity = new Quaternion()
+    const start = performance.now()
+
+    const frame = now => {
+      const k = Math.min(1, (now - start) / (duration * 1000))
+      const e = ease(k)
+      const length = fromOffset.length() + (toOffset.length() - fromOffset.length()) * e
+      const direction = fromOffset.clone().normalize().applyQuaternion(new Quaternion().slerpQuaternions(identity, turn, e))
+      controls.target.lerpVectors(fromTarget, target, e)
+      camera.position.copy(controls.target).addScaledVector(direction, length)
+      controls.update()
+      tween = k < 1 ? { frame: requestAnimationFrame(frame) } : null
+    }
+    tween = { frame: requestAnimationFrame(frame) }
+  }
+
+  // --- panel ---
+  function takeOverPanel() {
+    if (saved.length) return
+    saved.push(...panel.childNodes)
+    panel.classList.add('is-touring')
+  }
+
+  function button(label, onClick) {
+    const el = element('button', 'ui-button', label)
+    el.type = 'button'
+    el.addEventListener('click', onClick)
+    return el
+  }
+
+  function show(nodes) {
+    takeOverPanel()
+    panel.replaceChildren(...nodes)
+  }
+
+  function render() {
+    const step = script.steps[index]
+    const heading = element('div', 'tour-heading', `${script.title ? `${script.title} · ` : ''}${index + 1} / ${script.steps.length}`)
+    const caption = element('div', 'tour-caption')
+    caption.ariaLive = 'polite'
+    caption.append(...step.caption.split(/\n\s*\n/).map(paragraph => element('p', '', paragraph.trim())))
+
+    const back = button('Back', () => go(index - 1))
+    const next = button(index === script.steps.length - 1 ? 'Finish' : 'Next', () => (index === script.steps.length - 1 ? stop() : go(index + 1)))
+    const play = button(playing ? 'Pause' : 'Play', () => { playing = !playing; schedule(); render() })
+    const exit = button('Exit', stop)
+    back.disabled = index === 0
+    const buttons = element('div', 'tour-controls')
+    buttons.append(back, next, play, exit)
+    show([heading, caption, buttons])
+  }
+
+  // the next step comes after its camera move and its wait, while playing
+  function schedule() {
+    clearTimeout(timer)
+    if (!playing || !script) return
+    const step = script.steps[index]
+    const duration = step.duration ?? DEFAULT_DURATION
+    timer = setTimeout(() => {
+      if (index < script.steps.length - 1) go(index + 1)
+      else { playing = false; render() }
+    }, (('camera' in step ? duration : 0) + (step.wait ?? DEFAULT_WAIT)) * 1000)
+  }
+
+  function go(i) {
+    index = Math.max(0, Math.min(script.steps.length - 1, i))
+    const step = script.steps[index]
+    applyStep(step)
+    if (step.camera) moveCamera(step.camera, step.duration ?? DEFAULT_DURATION)
+    render()
+    schedule()
+  }
+
+  function start(tour) {
+    script = tour
+    playing = false
+    go(0)
+  }
+
+  function stop() {
+    clearTimeout(timer)
+    if (tween) cancelAnimationFrame(tween.frame)
+    tween = null
+    const wasActive = script !== null
+    script = null
+    playing = false
+    if (saved.length) {
+      panel.replaceChildren(...saved)
+      saved.length = 0
+      panel.classList.remove('is-touring')
+    }
+    if (wasActive) onEnd()
+  }
+
+  // loads, checks and starts a script; problems are listed in the panel instead
+  async function load(source) {
+    stop()
+    const name = typeof source === 'string' ? source : source.name
+    let errors
+    try {
+      const tour = await readScript(source)
+      errors = validateTour(tour, { modes, keys })
+      if (!errors.length) { start(tour); return }
+    } catch (error) {
+      errors = [error.message]
+    }
+    const list = element('ul', 'tour-errors')
+    list.append(...errors.map(message => element('li', '', message)))
+    show([element('div', 'tour-heading', `Tour ${name} cannot be played`), list, button('Close', stop)])
+  }
+
+  return {
+    load,
+    stop,
+    get active() { return script !== null }
+  }
+}
@@ -0,0 +1,87 @@
+// =====================
+// ZIP ARCHIVES
+// =====================
+// A minimal zip writer for frame sequences. PNGs are already compressed, so the
+// entries are simply stored (method 0); all that is needed is the CRC-32 and the
+// local / central directory records. No DOM here, so it also runs in Node.
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  return c
+})
+
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// MS-DOS time and date fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * files: [{ name, data: Uint8Array }, ...]
+ * Returns the bytes of a zip archive holding them uncompressed.
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder()
+  const { time, date } = dosDateTime(modified)
+  const local = []
+  const central = []
+  let offset = 0
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name)
+    const crc = crc32(data)
+
+    const header = new DataView(new ArrayBuffer(30))
+    header.setUint32(0, 0x04034B50, true) // local file header signature
+    header.setUint16(4, 20, true)         // version needed: 2.0
+    header.setUint16(6, 0x0800, true)     // names are UTF-8
+    header.setUint16(8, 0, true)          // stored
+    header.setUint16(10, time, true)
+    header.setUint16(12, date, true)
+    header.setUint32(14, crc, true)
+    header.setUint32(18, data.length, true)
+    header.setUint32(22, data.length, true)
+    header.setUint16(26, nameBytes.length, true)
+    local.push(new Uint8Array(header.buffer), nameBytes, data)
+
+    const entry = new DataView(new ArrayBuffer(46))
+    entry.setUint32(0, 0x02014B50, true)  // central directory signature
+    entry.setUint16(4, 20, true)          // made by
+    entry.setUint16(6, 20, true)          // version needed
+    entry.setUint16(8, 0x0800, true)
+    entry.setUint16(10, 0, true)
+    entry.setUint16(12, time, true)
+    entry.setUint16(14, date, true)
+    entry.setUint32(16, crc, true)
+    entry.setUint32(20, data.length, true)
+    entry.setUint32(24, data.length, true)
+    entry.setUint16(28, nameBytes.length, true)
+    entry.setUint32(42, offset, true)     // where the local header starts
+    central.push(new Uint8Array(entry.buffer), nameBytes)
+
+    offset += 30 + nameBytes.length + data.length
+  })
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054B50, true)      // end of central directory signature
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...local, ...central, new Uint8Array(end.buffer)]
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let at = 0
+  parts.forEach(part => { zip.set(part, at); at += part.length })
+  return zip
+}
@@ -0,0 +1,55 @@
+// =====================
+// BASE VIEW
+// =====================
+// A second canvas with a scene, camera and orbit controls of its own, for the
+// base sphere S² beside the total space drawn by the exhibit runtime. The two
+// views share nothing but the page, so each one orbits on its own. The exhibit
+// draws this one from its onFrame hook and decides where it sits and how big.
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
+/**
+ * Creates the view, its canvas appended to the page and lit like the main
+ * scene. Returns { scene, camera, renderer, controls, canvas, setSize, render,
+ * reset }; `render` also advances the orbit damping, once per frame.
+ */
+export function createBaseView({ position = [0, 1.5, 3.2], background = 0x050505 } = {}) {
+  const scene = new THREE.Scene()
+  scene.background = new THREE.Color(background)
+  scene.add(new THREE.AmbientLight(0xffffff, 0.6))
+  const light = new THREE.PointLight(0xffffff, 120)
+  light.position.set(5, 5, 5)
+  scene.add(light)
+
+  const camera = new THREE.PerspectiveCamera(45, 1, 0.1, 100)
+  camera.position.set(...position)
+
+  const renderer = new THREE.WebGLRenderer({ antialias: true })
+  document.body.appendChild(renderer.domElement)
+
+  // the sphere stays in the middle: no panning, and never inside it
+  const controls = new OrbitControls(camera, renderer.domElement)
+  controls.enableDamping = true
+  controls.enablePan = false
+  controls.minDistance = 1.6
+  controls.maxDistance = 10
+
+  return {
+    scene, camera, renderer, controls,
+    canvas: renderer.domElement,
+    setSize(width, height) {
+      renderer.setSize(width, height)
+      camera.aspect = width / height
+      camera.updateProjectionMatrix()
+    },
+    render() {
+      controls.update()
+      renderer.render(scene, camera)
+    },
+    reset() {
+      camera.position.set(...position)
+      controls.target.set(0, 0, 0)
+    }
+  }
+}
@@ -0,0 +1,86 @@
+// =====================
+// FIBER BATCH BENCHMARK
+// =====================
+// Builds the objects the exhibit draws for a sweep selection, batched, and the
+// objects of the old layout (one THREE.Line per fiber), then counts the draw
+// calls and buffer sizes of each and times how long a batch takes to build.
+//
+//   node hopf/bench.mjs [latitude|longitude] [density] [segments] [z]
+//   node hopf/bench.mjs latitude 500 512 0.3
+//
+// Batching trades memory for draw calls: each vertex carries its own colour
+// and each segment two indices, which the one-colour lines did not need, so at
+// the same number of segments the batch takes more memory than the old lines.
+
+import * as THREE from '../vendor/three/build/three.module.js'
+import { buildFiberBatch, sweepBasePoints, batchByteLength } from './fiber-batch.js'
+import { sphericalToCartesian, hopfFiberFrame, projectGreatCircle } from '../common/geometry.js'
+
+// the sample count of the old layout
+const LEGACY_SEGMENTS = 1000
+
+const [mode = 'latitude', density = '500', segments = '512', z = '0.3'] = process.argv.slice(2)
+const point = sphericalToCartesian(Math.acos(Number(z)), 0.7)
+const fibers = sweepBasePoints(mode, point, Number(density)).map(base => ({ base, color: { r: 1, g: 1, b: 1 } }))
+
+// the batch as the exhibit draws it: one indexed LineSegments with vertex colours
+function batchedScene(batch) {
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(batch.positions, 3))
+  geometry.setAttribute('color', new THREE.BufferAttribute(batch.colors, 3))
+  geometry.setIndex(new THREE.BufferAttribute(batch.indices, 1))
+  return new THREE.Scene().add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true })))
+}
+
+// the old layout: a Line with its own geometry and material for every fiber
+function legacyScene(segmentCount) {
+  const scene = new THREE.Scene()
+  fibers.forEach(({ base }) => {
+    const { a, b } = hopfFiberFrame(base)
+    const points = projectGreatCircle(a, b, segmentCount).map(p => new THREE.Vector3(p.x, p.y, p.z))
+    scene.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial()))
+  })
+  return scene
+}
+
+// what the renderer issues for a scene: a draw call for every visible mesh, line
+// or point cloud, one per material group when it has several materials
+function drawCalls(scene) {
+  let calls = 0
+  scene.traverseVisible(object => {
+    if (!object.isMesh && !object.isLine && !object.isPoints) return
+    calls += Array.isArray(object.material) ? object.geometry.groups.length : 1
+  })
+  return calls
+}
+
+// bytes of every vertex attribute and index buffer in a scene
+function bufferBytes(scene) {
+  const geometries = new Set()
+  scene.traverse(object => { if (object.geometry) geometries.add(object.geometry) })
+  let bytes = 0
+  geometries.forEach(geometry => {
+    Object.values(geometry.attributes).forEach(attribute => { bytes += attribute.array.byteLength })
+    if (geometry.index) bytes += geometry.index.array.byteLength
+  })
+  return bytes
+}
+
+const start = performance.now()
+const batch = buildFiberBatch(fibers, { segments: Number(segments) })
+const buildMs = performance.now() - start
+
+const batched = batchedScene(batch)
+const legacy = legacyScene(Number(segments))
+const legacyOld = legacyScene(LEGACY_SEGMENTS)
+
+const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`
+console.log(`selection       ${mode}, ${fibers.length} fibers, ${segments} segments each`)
+console.log(`draw calls      ${drawCalls(batched)} batched, ${drawCalls(legacy)} as one Line per fiber`)
+console.log(`vertices        ${batch.positions.length / 3}`)
+console.log(`line segments   ${batch.indices.length / 2}`)
+console.log(`buffers         ${kb(bufferBytes(batched))} batched: positions ${kb(batch.positions.byteLength)}, colours ${kb(batch.colors.byteLength)}, indices ${kb(batch.indices.byteLength)}`)
+console.log(`                ${kb(bufferBytes(legacy))} as one Line per fiber at ${segments} segments`)
+console.log(`                ${kb(bufferBytes(legacyOld))} as one Line per fiber at ${LEGACY_SEGMENTS} segments (the old layout)`)
+console.log(`build time      ${buildMs.toFixed(1)} ms`)
+if (bufferBytes(batched) !== batchByteLength(batch)) throw new Error('the batch has buffers batchByteLength does not count')
@@ -0,0 +1,256 @@
+// =====================
+// FIBER BATCHES
+// =====================
+// Packs many Hopf fibers into one set of typed arrays, drawn with a single
+// indexed LineSegments call (one draw call per batch instead of one per fiber),
+// or as one mesh of tubes, or as the surface a row of fibers sweeps out.
+// No Three.js here, so the same code runs in the browser and in bench.mjs.
+
+import { hopfFiberFrame, projectGreatCircle, applyMatrix4, latitudeCircle, longitudeCircle } from '../common/geometry.js'
+
+const IDENTITY = [1,0,0,0, 0,1,0,0, 0,0,1,0, 0,0,0,1]
+
+// the radius of a fiber tube, in the exhibit and in exported models
+export const TUBE_RADIUS = 0.012
+
+/**
+ * fibers:  [{ base: {x, y, z}, color: {r, g, b}, hidden }, ...]
+ * options: segments per fiber, matrix = 4×4 rotation of S³ (row-major)
+ *
+ * Returns positions/colors (3 floats per vertex), indices (2 per segment) and
+ * per-fiber ranges into the index buffer, so a single fiber can be found again.
+ * Hidden fibers add no vertices but keep their (empty) range, so indices into
+ * `fibers` and `ranges` still match.
+ */
+export function buildFiberBatch(fibers, { segments = 512, matrix = IDENTITY } = {}) {
+  const polylines = fiberPolylines(fibers, segments, matrix)
+
+  let vertexCount = 0, indexCount = 0
+  for (const points of polylines) {
+    vertexCount += points.length
+    indexCount += Math.max(0, points.length - 1) * 2
+  }
+
+  const positions = new Float32Array(vertexCount * 3)
+  const colors = new Float32Array(vertexCount * 3)
+  const indices = new Uint32Array(indexCount)
+  const ranges = []
+
+  let v = 0, k = 0
+  polylines.forEach((points, f) => {
+    const { r, g, b } = fibers[f].color
+    ranges.push({ start: k, count: Math.max(0, points.length - 1) * 2 })
+    points.forEach((p, i) => {
+      positions[(v + i) * 3] = p.x
+      positions[(v + i) * 3 + 1] = p.y
+      positions[(v + i) * 3 + 2] = p.z
+      colors[(v + i) * 3] = r
+      colors[(v + i) * 3 + 1] = g
+      colors[(v + i) * 3 + 2] = b
+      if (i > 0) { indices[k++] = v + i - 1; indices[k++] = v + i }
+    })
+    v += points.length
+  })
+
+  return { positions, colors, indices, ranges }
+}
+
+// the projected polyline of every fiber, empty for hidden ones
+function fiberPolylines(fibers, segments, matrix) {
+  return fibers.map(fiber => {
+    if (fiber.hidden) return []
+    const { a, b } = hopfFiberFrame(fiber.base)
+    return projectGreatCircle(applyMatrix4(matrix, a), applyMatrix4(matrix, b), segments)
+  })
+}
+
+const subtract = (p, q) => ({ x: p.x - q.x, y: p.y - q.y, z: p.z - q.z })
+const crossProduct = (p, q) => ({ x: p.y * q.z - p.z * q.y, y: p.z * q.x - p.x * q.z, z: p.x * q.y - p.y * q.x })
+const normalize = p => {
+  const len = Math.hypot(p.x, p.y, p.z) || 1
+  return { x: p.x / len, y: p.y / len, z: p.z / len }
+}
+
+/**
+ * The same fibers as lit tubes, all in one indexed mesh. `radius` is a number
+ * or a function of the point of the fiber, e.g. to thicken fibers near the
+ * camera. Each ring of `sides` vertices is carried along the fiber by parallel
+ * transport, so a closed fiber (a circle) joins up without a twist.
+ *
+ * Returns positions, normals and colors (3 floats per vertex), indices (3 per
+ * triangle) and per-fiber ranges into the index buffer, as buildFiberBatch.
+ */
+export function buildTubeBatch(fibers, { segments = 128, matrix = IDENTITY, radius = TUBE_RADIUS, sides = 6 } = {}) {
+  const radiusAt = typeof radius === 'function' ? radius : () => radius
+  const polylines = fiberPolylines(fibers, segments, matrix).map(points => {
+    // a closed polyline repeats its first point at the end; the rings wrap around instead
+    const closed = points.length > 2
+    return { points: closed ? points.slice(0, -1) : points, closed }
+  })
+
+  let vertexCount = 0, indexCount = 0
+  for (const { points, closed } of polylines) {
+    vertexCount += points.length * sides
+    indexCount += (closed ? points.length : Math.max(0, points.length - 1)) * sides * 6
+  }
+
+  const positions = new Float32Array(vertexCount * 3)
+  const normals = new Float32Array(vertexCount * 3)
+  const colors = new Float32Array(vertexCount * 3)
+  const indices = new Uint32Array(indexCount)
+  const ranges = []
+
+  let v = 0, k = 0
+  polylines.forEach(({ points, closed }, f) => {
+    const { r, g, b } = fibers[f].color
+    const start = k
+    const n = points.length
+    let normal = null
+    points.forEach((p, i) => {
+      const prev = points[closed ? (i - 1 + n) % n : Math.max(0, i - 1)]
+      const next = points[closed ? (i + 1) % n : Math.min(n - 1, i + 1)]
+      const tangent = normalize(subtract(next, prev))
+      if (!normal) {
+        // any direction across the first tangent, away from its largest component
+        const axis = Math.abs(tangent.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 }
+        normal = normalize(crossProduct(tangent, axis))
+      }
+      // parallel transport: the previous normal, made perpendicular to the new tangent
+      const along = normal.x * tangent.x + normal.y * tangent.y + normal.z * tangent.z
+      normal = normalize({ x: normal.x - along * tangent.x, y: normal.y - along * tangent.y, z: normal.z - along * tangent.z })
+      const binormal = crossProduct(tangent, normal)
+      const rad = radiusAt(p)
+
+      for (let j = 0; j < sides; j++) {
+        const angle = (j / sides) * Math.PI * 2
+        const c = Math.cos(angle), s = Math.sin(angle)
+        const d = { x: c * normal.x + s * binormal.x, y: c * normal.y + s * binormal.y, z: c * normal.z + s * binormal.z }
+        const o = (v + i * sides + j) * 3
+        positions[o] = p.x + rad * d.x
+        positions[o + 1] = p.y + rad * d.y
+        positions[o + 2] = p.z + rad * d.z
+        normals[o] = d.x
+        normals[o + 1] = d.y
+        normals[o + 2] = d.z
+        colors[o] = r
+        colors[o + 1] = g
+        colors[o + 2] = b
+      }
+    })
+
+    // two triangles between each pair of neighbouring rings, facing outwards
+    const rings = closed ? n : n - 1
+    for (let i = 0; i < rings; i++) {
+      const ring = v + i * sides, nextRing = v + ((i + 1) % n) * sides
+      for (let j = 0; j < sides; j++) {
+        const a = ring + j, b = ring + (j + 1) % sides
+        const c = nextRing + j, d = nextRing + (j + 1) % sides
+        indices[k++] = a; indices[k++] = b; indices[k++] = c
+        indices[k++] = b; indices[k++] = d; indices[k++] = c
+      }
+    }
+    ranges.push({ start, count: k - start })
+    v += n * sides
+  })
+
+  return { positions, normals, colors, indices, ranges }
+}
+
+/**
+ * The surface swept out by a row of fibers (e.g. a latitude sweep, whose fibers
+ * fill a torus): each fiber is joined to the next one by a strip of triangles,
+ * and the last to the first when `closed`. Matching samples of neighbouring
+ * fibers lie close together, since the fiber frame moves smoothly with the base
+ * point. A strip is left out where a fiber is hidden or runs through the
+ * projection pole (a straight line, with no samples to join).
+ *
+ * Returns positions/colors, indices (3 per triangle) and per-fiber ranges, the
+ * range of a fiber being the strip that starts at it. Normals are left to the
+ * caller (computeVertexNormals).
+ */
+export function buildSurfaceBatch(fibers, { segments = 512, matrix = IDENTITY, closed = false } = {}) {
+  const polylines = fiberPolylines(fibers, segments, matrix)
+  const full = points => points.length === segments + 1
+  const strips = fibers.length < 2 ? 0 : closed ? fibers.length : fibers.length - 1
+
+  const offsets = []
+  let vertexCount = 0, indexCount = 0
+  polylines.forEach(points => { offsets.push(vertexCount); vertexCount += points.length })
+  for (let f = 0; f < strips; f++) {
+    if (full(polylines[f]) && full(polylines[(f + 1) % fibers.length])) indexCount += segments * 6
+  }
+
+  const positions = new Float32Array(vertexCount * 3)
+  const colors = new Float32Array(vertexCount * 3)
+  const indices = new Uint32Array(indexCount)
+  const ranges = []
+
+  polylines.forEach((points, f) => {
+    const { r, g, b } = fibers[f].color
+    points.forEach((p, i) => {
+      const o = (offsets[f] + i) * 3
+      positions[o] = p.x
+      positions[o + 1] = p.y
+      positions[o + 2] = p.z
+      colors[o] = r
+      colors[o + 1] = g
+      colors[o + 2] = b
+    })
+  })
+
+  let k = 0
+  fibers.forEach((fiber, f) => {
+    const start = k
+    const g = (f + 1) % fibers.length
+    if (f < strips && full(polylines[f]) && full(polylines[g])) {
+      for (let i = 0; i < segments; i++) {
+        const a = offsets[f] + i, b = offsets[f] + i + 1
+        const c = offsets[g] + i, d = offsets[g] + i + 1
+        indices[k++] = a; indices[k++] = c; indices[k++] = b
+        indices[k++] = b; indices[k++] = c; indices[k++] = d
+      }
+    }
+    ranges.push({ start, count: k - start })
+  })
+
+  return { positions, colors, indices, ranges }
+}
+
+/**
+ * Base points of a latitude or longitude sweep through `point` on the unit S².
+ * A latitude gives `density` distinct points around the parallel; a longitude
+ * gives density + 1 points from pole to pole, since one half of the great
+ * circle already covers the whole meridian.
+ */
+export function sweepBasePoints(mode, point, density = 200) {
+  if (mode === 'latitude') return latitudeCircle(point.z, density).slice(0, density)
+  if (mode === 'longitude') return longitudeCircle(Math.atan2(point.y, point.x), density * 2).slice(0, density + 1)
+  return []
+}
+
+/**
+ * Colours for the points of a curve on S², e.g. the circle a sweep runs along:
+ * each point takes the colour of the fiber whose base point is nearest to it.
+ * Returns 3 floats per point, or null when there are no fibers.
+ */
+export function nearestFiberColors(points, fibers) {
+  if (fibers.length === 0) return null
+  const colors = new Float32Array(points.length * 3)
+  points.forEach((p, i) => {
+    let nearest = fibers[0], best = -Infinity
+    for (const fiber of fibers) {
+      const { base } = fiber
+      const cos = base.x * p.x + base.y * p.y + base.z * p.z
+      if (cos > best) { best = cos; nearest = fiber }
+    }
+    colors[i * 3] = nearest.color.r
+    colors[i * 3 + 1] = nearest.color.g
+    colors[i * 3 + 2] = nearest.color.b
+  })
+  return colors
+}
+
+// total size of the typed arrays of a batch, in bytes
+export function batchByteLength(batch) {
+  return batch.positions.byteLength + batch.colors.byteLength + batch.indices.byteLength + (batch.normals ? batch.normals.byteLength : 0)
+}
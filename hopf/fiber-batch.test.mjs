@@ -0,0 +1,50 @@
+// =====================
+// FIBER BATCH TESTS
+// =====================
+// Builds the batches of a latitude sweep the way the exhibit does, from the
+// plain {x, y, z} base points sweepBasePoints gives, and checks their layout
+// and the colours of the sweep's circle. Run with `node --test`.
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildFiberBatch, buildSurfaceBatch, sweepBasePoints, nearestFiberColors } from './fiber-batch.js'
+import { sphericalToCartesian, latitudeCircle } from '../common/geometry.js'
+
+const DENSITY = 40, SEGMENTS = 32
+const through = sphericalToCartesian(Math.acos(0.3), 0.7)
+// a different colour for every fiber, as the cycled colours would be
+const sweep = () => sweepBasePoints('latitude', through, DENSITY).map((base, i) => ({ base, color: { r: i / DENSITY, g: 1 - i / DENSITY, b: 0.5 } }))
+
+test('a latitude sweep has one fiber per base point around the parallel', () => {
+  const fibers = sweep()
+  assert.equal(fibers.length, DENSITY)
+  fibers.forEach(({ base }) => assert.ok(Math.abs(base.z - 0.3) < 1e-12))
+})
+
+test('the line batch of a latitude sweep holds every fiber', () => {
+  const fibers = sweep()
+  const batch = buildFiberBatch(fibers, { segments: SEGMENTS })
+  assert.equal(batch.positions.length, DENSITY * (SEGMENTS + 1) * 3)
+  assert.equal(batch.indices.length, DENSITY * SEGMENTS * 2)
+  assert.equal(batch.ranges.length, DENSITY)
+  batch.ranges.forEach((range, f) => assert.equal(range.start, f * SEGMENTS * 2))
+})
+
+test('the surface of a latitude sweep closes around the torus', () => {
+  const batch = buildSurfaceBatch(sweep(), { segments: SEGMENTS, closed: true })
+  assert.equal(batch.indices.length, DENSITY * SEGMENTS * 6)
+})
+
+test('the circle of a latitude sweep takes the colours of its fibers', () => {
+  const fibers = sweep()
+  // the parallel sampled where the fibers are, and halfway between them
+  const circle = latitudeCircle(0.3, DENSITY * 2).slice(0, DENSITY * 2)
+  const colors = nearestFiberColors(circle, fibers)
+  assert.equal(colors.length, circle.length * 3)
+  for (let f = 0; f < DENSITY; f++) {
+    const { r, g, b } = fibers[f].color
+    assert.deepEqual([...colors.subarray(f * 6, f * 6 + 3)], [r, g, b].map(Math.fround), `colour at fiber ${f}`)
+  }
+  // a curve being drawn, with no fibers yet, stays uncoloured
+  assert.equal(nearestFiberColors(circle, []), null)
+})
@@ -0,0 +1,62 @@
+// =====================
+// FIBER COLOUR MAP
+// =====================
+// Colours a fiber by where it comes from: the longitude of its base point on S²
+// picks the hue and the height picks the lightness, so neighbouring fibers get
+// similar colours and the colours of a torus run round it like its latitude.
+// The legend draws the base sphere in the same colours, as the camera sees it.
+
+import * as THREE from 'three';
+
+// lightness at the South and North Pole; darker would vanish into the background
+const DARKEST = 0.3, LIGHTEST = 0.85
+
+/**
+ * The colour of the fiber over `base` (a point of the unit S², the z axis
+ * through its poles as in the sweeps), written into `target`.
+ */
+export function basePointColor(base, target = new THREE.Color()) {
+  const hue = (Math.atan2(base.y, base.x) / (Math.PI * 2) + 1) % 1
+  const lightness = DARKEST + (LIGHTEST - DARKEST) * (Math.max(-1, Math.min(1, base.z)) + 1) / 2
+  return target.setHSL(hue, 1, lightness)
+}
+
+/**
+ * Paints the unit sphere onto a 2D canvas in the colour map, turned the way
+ * `camera` sees the scene origin, with a little shading so it reads as a ball.
+ */
+export function drawColorLegend(canvas, camera) {
+  const context = canvas.getContext('2d')
+  const { width, height } = canvas
+  const image = context.createImageData(width, height)
+  const radius = Math.min(width, height) / 2 - 1
+
+  // the camera's axes: a pixel (u, v) on the disc is the sphere point u·right + v·up + depth·back
+  const back = camera.position.clone().normalize()
+  const right = new THREE.Vector3().crossVectors(camera.up, back).normalize()
+  const up = new THREE.Vector3().crossVectors(back, right)
+  const light = new THREE.Vector3(-0.4, 0.5, 0.77).normalize()
+  const color = new THREE.Color()
+  const point = new THREE.Vector3()
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const u = (x + 0.5 - width / 2) / radius, v = (height / 2 - y - 0.5) / radius
+      const r2 = u * u + v * v
+      if (r2 > 1) continue
+      const depth = Math.sqrt(1 - r2)
+      point.copy(right).multiplyScalar(u).addScaledVector(up, v).addScaledVector(back, depth)
+      basePointColor(point, color)
+      // diffuse shading in view space, never quite black
+      const shade = 0.55 + 0.45 * Math.max(0, light.x * u + light.y * v + light.z * depth)
+      // getHex gives sRGB, which is what the canvas shows
+      const hex = color.getHex()
+      const o = (y * width + x) * 4
+      image.data[o] = (hex >> 16 & 255) * shade
+      image.data[o + 1] = (hex >> 8 & 255) * shade
+      image.data[o + 2] = (hex & 255) * shade
+      image.data[o + 3] = 255
+    }
+  }
+  context.putImageData(image, 0, 0)
+}
@@ -1,25 +1,69 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { createExhibit } from '../common/exhibit.js';
+import { rotationMatrix4, ROTATION_PLANES, latitudeCircle, longitudeCircle, angularDistance, resamplePath,
+    applyMatrix4, hopfFiberFrame, hopfLinkingNumber, projectedCircle, cartesianToSpherical, projectGreatCircle } from '../common/geometry.js';
+import { buildFiberBatch, buildTubeBatch, buildSurfaceBatch, sweepBasePoints, nearestFiberColors, TUBE_RADIUS } from './fiber-batch.js';
+import { basePointColor, drawColorLegend } from './fiber-style.js';
+import { createBaseView } from './base-view.js';
+import { download, tubeGeometry, exportGLB, exportOBJ } from '../common/export.js';
+import { recordAnimation } from '../common/recorder.js';
+import { createHistory, bindUndoKeys } from '../common/history.js';
+import { createSelectionList } from '../common/selection-list.js';
+import { createPreciseInput, latitudePoint, longitudePoint } from '../common/precise-input.js';
+import { onTap, pointerToNDC, createSphereCursor } from '../common/pointer.js';
+import { createTour, stepPoints } from '../common/tour.js';
+import { createHoverReadout, onPointerHover, formatComplex, formatDegrees, formatNumber, formatPoint } from '../common/hover-readout.js';
+import { formatNumbers, parseNumbers, formatVector, parseVector, formatVectorList, parseVectorList, readHash, cameraParams, applyCameraParams, copyStateLink } from '../common/share.js';
+
+// the info panel, one entry per paragraph
+const INFO = [
+    `Click anywhere on the sphere to select a point or a curve (latitude or longitude).`,
+    `Each point corresponds to a unique circle in 3D space, its Hopf fiber. Selecting a point shows that fiber; selecting a curve shows all fibers along it, forming a continuous looped surface.`,
+    `In <strong>Path</strong> mode, drag across the sphere to draw any curve and see the surface of fibers over it. Drag the white handles to reshape it.`,
+    `With <strong>Link</strong> on, click two point fibers to see that they are linked exactly once.`,
+    `<strong>Precise Input</strong> places a point from typed coordinates. The Lat and Lon sliders sweep a latitude or longitude and morph its torus as they move.`,
+    `On a touch screen, tap to select; drag to orbit and pinch to zoom. With the keyboard, Tab to the base sphere, move the yellow cursor with the arrow keys (Shift for larger steps) and press Enter to select.`,
+    `Hover over the sphere to preview a fiber and read its base point and a point of it in S³; hover over a drawn fiber to highlight it.`,
+    `The base sphere S² has a view of its own in the corner, which orbits on its own: select on it while the main view shows only the fibers. Markers, curves and fibers share their colours, and hovering a fiber lights up its base point. <strong>Swap Views</strong> enlarges the base sphere; turning off <strong>Base Inset</strong> draws everything in one view.`,
+    `The selection list shows every fiber and sweep drawn. Hide, recolour or delete them one by one; Ctrl+Z undoes and Ctrl+Shift+Z redoes.`,
+    `The sliders rotate S³ in its six coordinate planes before it is projected. A fiber passing through the projection pole becomes a straight line.`,
+    `<strong>Style</strong> draws the fibers as lines or as lit tubes of adjustable thickness. <strong>Colour by base point</strong> gives each fiber the colour of its base point on S², as the small legend sphere shows. <strong>Depth fog</strong> fades distant fibers, and <strong>Thickness by distance</strong> makes tubes thicker in front and thinner behind, which helps to tell nested tori apart. <strong>Surface</strong> draws a sweep as one shaded surface instead of separate circles.`,
+    `<strong>Export Model</strong> saves the drawn fibers as glTF or OBJ, one object per fiber with its base point attached. Turn on <strong>Tubes</strong> for a printable mesh.`,
+    `<strong>Reset</strong> clears everything.<br>
+    <strong>Freeze</strong> locks your selection.<br>
+    <strong>Capture</strong> saves the page at the chosen resolution, the inset included; recordings show it too.<br>
+    <strong>Record</strong> plays an 8 second loop and saves it as a video or PNG frames.<br>
+    <strong>Copy Link</strong> copies a link that reopens this exact view.<br>
+    <strong>Tour</strong> plays a guided walk through the fibration; <strong>Load Tour</strong> plays your own script.`
+]
 
 document.addEventListener('DOMContentLoaded', () => {
 
     // -----------------------------
     // Scene Setup
     // -----------------------------
-    const scene = new THREE.Scene()
-    scene.background = new THREE.Color(0x050505)
-
-    const camera = new THREE.PerspectiveCamera(60, window.innerWidth/window.innerHeight, 0.1, 2000)
-    camera.position.set(0, 2, 5)
-
-    const renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true })
-    renderer.setSize(window.innerWidth, window.innerHeight)
-    document.body.appendChild(renderer.domElement)
-
-    const controls = new OrbitControls(camera, renderer.domElement)
-    controls.enableDamping = true
-    controls.minDistance = 0.2
-    controls.maxDistance = 150
+    const exhibit = createExhibit('hopf', {
+        camera: { position: [0, 2, 5] },
+        controls: { minDistance: 0.2, maxDistance: 150 },
+        modes: { point: 'toggle-point', longitude: 'toggle-longitude', latitude: 'toggle-latitude', path: 'toggle-path' },
+        info: INFO,
+        onModeChange(mode){
+            clearPreviousSelections()
+            commitSelection()
+            syncModes(mode)
+        },
+        // link picking only reads the scene, so it also works while frozen
+        clickWhenFrozen: true,
+        onClick: () => selectAtPointer(mainView()),
+        onReset: resetExhibit,
+        // a capture shows both views, as the page does
+        capture: () => ({ draw: drawViews, size: windowSize() }),
+        onFrame(){
+            updateFog()
+            if(layout!=='single') baseView.render()
+        }
+    })
+    const { scene, camera, renderer, controls, raycaster } = exhibit
 
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6)
     scene.add(ambientLight)
@@ -30,214 +74,1292 @@ document.addEventListener('DOMContentLoaded', () => {
     const sphereGeometry = new THREE.SphereGeometry(1, 128, 128)
     const sphereMaterial = new THREE.MeshStandardMaterial({ color: 0xE0FFFF, transparent:true, opacity:0.5 })
     const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial)
-    scene.add(sphere)
+
+    // the base sphere and everything drawn on it, in the base view unless the
+    // layout is 'single' (see Views)
+    const baseView = createBaseView()
+    const baseGroup = new THREE.Group()
+    baseGroup.add(sphere)
 
     // -----------------------------
     // State & Groups
     // -----------------------------
-    let selectionMode = false, longitudeMode = false, latitudeMode = false, holdScene = false
+    let selectionMode = false, longitudeMode = false, latitudeMode = false, pathMode = false
     let fiberIndex = 0
+    // detail settings: samples per fiber and fibers per latitude/longitude sweep
+    let fiberSegments = 512, sweepDensity = 200
+    // last latitude/longitude sweep, so it can be rebuilt when the density changes
+    let currentSweep = null
+    // hidden / recoloured state of the sweep, set from the selection list
+    let sweepStyle = { hidden:false, custom:null }
+    // free-hand path: editable control points on S² (closed when the stroke ends near its start)
+    let pathControls = [], pathClosed = false
+    // rotation of S³ (radians per coordinate plane) applied before projecting
+    const rotation = { xy:0, xz:0, xw:0, yz:0, yw:0, zw:0 }
+    let rotationMatrix = rotationMatrix4(rotation)
     const fiberColors = [0xff0000,0xff7f00,0xffff00,0x00ff00,0x00ffff,0x0000ff,0x7f00ff,0xff00ff,0xffcc00,0x00ccff,0xff5555,0x55ff55]
+    // how fibers are drawn: as 'lines' or 'tubes' (of radius tubeRadius), coloured
+    // from the 'cycle' above or by their 'base' point, with depth cue 'none', 'fog'
+    // or 'thickness', and a latitude/longitude/path sweep as one surface or not
+    const DEFAULT_STYLE = { fiberStyle:'lines', tubeRadius:TUBE_RADIUS, colorMap:'cycle', depthCue:'none', surface:false }
+    let renderStyle = { ...DEFAULT_STYLE }
 
     const markersGroup = new THREE.Group()
     const fibersGroup = new THREE.Group()
     const torusGroup = new THREE.Group()
     const sphereLinesGroup = new THREE.Group()
-    scene.add(markersGroup, fibersGroup, torusGroup, sphereLinesGroup)
+    const pathHandlesGroup = new THREE.Group()
+    const highlightGroup = new THREE.Group()
+    baseGroup.add(markersGroup, sphereLinesGroup, pathHandlesGroup)
+    scene.add(fibersGroup, torusGroup, highlightGroup)
+
+    // shared between all fibers/markers, so they are never disposed on reset
+    const fiberMaterial = new THREE.LineBasicMaterial({ vertexColors:true, transparent:true, opacity:0.6 })
+    const markerGeometry = new THREE.SphereGeometry(0.015,32,32)
+    const handleGeometry = new THREE.SphereGeometry(0.03,16,16)
+    const handleMaterial = new THREE.MeshBasicMaterial({color:0xffffff})
+    const highlightMaterial = new THREE.LineBasicMaterial({ vertexColors:true })
+    const tubeMaterial = new THREE.MeshStandardMaterial({ vertexColors:true, roughness:0.45 })
+    const highlightTubeMaterial = new THREE.MeshBasicMaterial({ vertexColors:true })
+    // pushed back a little, so fibers highlighted on the surface are not buried in it
+    const surfaceMaterial = new THREE.MeshStandardMaterial({ vertexColors:true, side:THREE.DoubleSide, roughness:0.6, polygonOffset:true, polygonOffsetFactor:1, polygonOffsetUnits:1 })
+    ;[fiberMaterial, markerGeometry, handleGeometry, handleMaterial, highlightMaterial, tubeMaterial, highlightTubeMaterial, surfaceMaterial].forEach(resource => exhibit.shared.add(resource))
 
     // -----------------------------
     // UI Elements
     // -----------------------------
 
-const pointToggle = document.getElementById('toggle-point');
-const longitudeToggle = document.getElementById('toggle-longitude');
-const latitudeToggle = document.getElementById('toggle-latitude');
-const resetBtn = document.getElementById('reset-btn');
-const freezeBtn = document.getElementById('freeze-btn');
-const captureBtn = document.getElementById('capture-btn');
-const flash = document.getElementById('flash-overlay');
-const uiPanel = document.querySelector('.ui-panel');
+const linkToggle = document.getElementById('toggle-link');
+const linkPanel = document.getElementById('link-panel');
+const linkBtn = document.getElementById('link-btn');
+const exportBtn = document.getElementById('export-btn');
+const exportFormat = document.getElementById('export-format');
+const tubesToggle = document.getElementById('toggle-tubes');
+const captureScale = document.getElementById('capture-scale');
+const recordBtn = document.getElementById('record-btn');
+const recordScript = document.getElementById('record-script');
+const recordFormat = document.getElementById('record-format');
+const recordError = document.getElementById('record-error');
+const selectionPanel = document.getElementById('selection-panel');
+const hoverElement = document.getElementById('hover-readout');
+const preciseInput = document.getElementById('precise-input');
+const cursorStatus = document.getElementById('cursor-status');
+const tourBtn = document.getElementById('tour-btn');
+const tourFileBtn = document.getElementById('tour-file-btn');
+const tourFile = document.getElementById('tour-file');
 const infoPanel = document.querySelector('.info-panel');
-const titleContainer = document.querySelector('.title-container');
 
-const toggleList = [pointToggle, longitudeToggle, latitudeToggle];
+const rotationSliders = ROTATION_PLANES.map(plane => document.getElementById(`rot-${plane}`));
+const densitySlider = document.getElementById('sweep-density');
+const segmentsSlider = document.getElementById('fiber-segments');
+const styleSelect = document.getElementById('fiber-style');
+const thicknessSlider = document.getElementById('tube-thickness');
+const colorMapSelect = document.getElementById('fiber-colors');
+const depthSelect = document.getElementById('depth-cue');
+const surfaceToggle = document.getElementById('toggle-surface');
+const legendCanvas = document.getElementById('color-legend');
+const insetToggle = document.getElementById('toggle-inset');
+const swapBtn = document.getElementById('swap-btn');
 
 // Helper to clear 3D objects
 function clearPreviousSelections() {
-    markersGroup.clear();
-    fibersGroup.clear();
-    torusGroup.clear();
-    sphereLinesGroup.clear();
+    exhibit.dispose(markersGroup);
+    pointFibers.clear();
+    sweepFibers.clear();
+    exhibit.dispose(sphereLinesGroup);
+    exhibit.dispose(pathHandlesGroup);
+    currentSweep = null;
+    sweepStyle = { hidden: false, custom: null };
+    sphereLinesGroup.visible = true;
+    pathControls = [];
+    linkPicks = [];
+    updateLinkReadout();
 }
 
-// Updated Reset Button: Clears scene, UI toggles, and internal flags
-resetBtn.addEventListener('click', () => {
-    // 1. Clear the 3D scene
+// Keeps the mode flags in step with the mode toggles
+function syncModes(mode) {
+    selectionMode = mode === 'point';
+    longitudeMode = mode === 'longitude';
+    latitudeMode = mode === 'latitude';
+    pathMode = mode === 'path';
+}
+
+// Reset: the runtime has unchecked the modes, unfrozen and moved the camera back
+function resetExhibit() {
+    tour.stop();
     clearPreviousSelections();
+    syncModes(undefined);
+    fiberIndex = 0;
+    selectionHistory.reset(snapshot());
+    updateSelectionList();
+    if (linkToggle) linkToggle.checked = false;
+    if (linkPanel) linkPanel.style.display = 'none';
 
-    // 2. Uncheck all UI toggles
-    toggleList.forEach(t => { if (t) t.checked = false; });
+    // undo the 4D rotation
+    rotationSliders.forEach(slider => { if (slider) slider.value = 0; });
+    ROTATION_PLANES.forEach(plane => { rotation[plane] = 0; });
+    rotationMatrix = rotationMatrix4(rotation);
 
-    // 3. Reset internal logic flags
-    selectionMode = false;
-    longitudeMode = false;
-    latitudeMode = false;
-    fiberIndex = 0;
+    // plain lines in the cycled colours again
+    setRenderStyle(DEFAULT_STYLE);
 
-    // 4. Reset Freeze/Lock state
-    holdScene = false;
-    if (freezeBtn) {
-        freezeBtn.textContent = "Freeze";
-        freezeBtn.style.opacity = "0.6";
-    }
-});
-
-freezeBtn.addEventListener('click', () => {
-    holdScene = !holdScene;
-    freezeBtn.textContent = holdScene ? "Locked" : "Freeze";
-    freezeBtn.style.opacity = holdScene ? "1" : "0.6";
-});
-
-captureBtn.addEventListener('click', () => {
-    uiPanel.style.visibility = 'hidden';
-    infoPanel.style.visibility = 'hidden';
-    titleContainer.style.visibility = 'hidden';
-
-    renderer.render(scene, camera);
-    const dataURL = renderer.domElement.toDataURL('image/png');
-
-    flash.style.opacity = '0.3';
-
-    const link = document.createElement('a');
-    link.download = `hopf-fibration-${Date.now()}.png`;
-    link.href = dataURL;
-    link.click();
-
-    setTimeout(() => {
-        flash.style.opacity = '0';
-        uiPanel.style.visibility = 'visible';
-        infoPanel.style.visibility = 'visible';
-        titleContainer.style.visibility = 'visible';
-    }, 100);
-});
-
-toggleList.forEach(t => {
-    if (!t) return;
-    t.addEventListener('change', () => {
-        // Mutual exclusivity: if one is checked, uncheck others
-        if (t.checked) {
-            toggleList.forEach(other => { if (other !== t) other.checked = false; });
-        }
-        
-        clearPreviousSelections();
-        
-        // Synchronize internal flags with checkbox states
-        selectionMode = pointToggle.checked;
-        longitudeMode = longitudeToggle.checked;
-        latitudeMode = latitudeToggle.checked;
-    });
-});
+    // the base sphere back in the inset, seen from the start
+    baseView.reset();
+    setLayout('split');
+}
     // -----------------------------
     // Hopf functions (create fibers/markers)
     // -----------------------------
-    function getHopfFiberPoints(n, segments=1000){
-        const points=[]
-        const theta = Math.acos(n.z)
-        const phi = Math.atan2(n.y, n.x)
-        for(let t=0;t<=Math.PI*2;t+=(2*Math.PI)/segments){
-            const x4=Math.cos(theta/2)*Math.cos(t)
-            const y4=Math.cos(theta/2)*Math.sin(t)
-            const z4=Math.sin(theta/2)*Math.cos(t+phi)
-            const w4=Math.sin(theta/2)*Math.sin(t+phi)
-            const d = Math.max(1-w4,0.0001)
-            points.push(new THREE.Vector3(x4/d, y4/d, z4/d))
+    // A fiber layer keeps the base points and colours of its fibers and draws
+    // all of them as one batch in the current style (rotated by the current 4D
+    // rotation, then stereographically projected to ℝ³). The sweep layer can
+    // draw its fibers as the surface they fill instead.
+    function createFiberLayer(group, { sweep = false } = {}){
+        const layer = { fibers: [], mesh: null }
+
+        layer.rebuild = () => {
+            exhibit.dispose(group)
+            layer.mesh = null
+            if(layer.fibers.length===0) return
+            layer.mesh = sweep && renderStyle.surface && currentSweep
+                ? surfaceMesh(layer.fibers)
+                : fiberMesh(layer.fibers, fiberMaterial, tubeMaterial)
+            group.add(layer.mesh)
+        }
+
+        // colorIndexFor(i) picks the entry of fiberColors for the i-th new fiber
+        layer.add = (bases, colorIndexFor, style) => {
+            bases.forEach((base, i) => layer.fibers.push(makeFiber(base, colorIndexFor(i), style)))
+            layer.rebuild()
         }
-        return points
+
+        layer.clear = () => {
+            layer.fibers = []
+            layer.rebuild()
+        }
+
+        return layer
     }
 
-    function createHopfFiber(n,color,group){
-        const points = getHopfFiberPoints(n)
-        const geometry = new THREE.BufferGeometry().setFromPoints(points)
-        const material = new THREE.LineBasicMaterial({ color, transparent:true, opacity:0.6 })
-        const line = new THREE.Line(geometry, material)
-        group.add(line)
+    // custom overrides the cycled or mapped colour; hidden fibers stay in the list but are not drawn
+    function makeFiber(base, colorIndex, { custom = null, hidden = false } = {}){
+        return { base, colorIndex, custom, hidden, color: fiberColor(base, colorIndex, custom) }
+    }
+
+    function fiberColor(base, colorIndex, custom){
+        if(custom!==null) return new THREE.Color(custom)
+        return renderStyle.colorMap==='base' ? basePointColor(base) : new THREE.Color(fiberColors[colorIndex%fiberColors.length])
+    }
+
+    const pointFibers = createFiberLayer(fibersGroup)
+    const sweepFibers = createFiberLayer(torusGroup, { sweep: true })
+
+    // tubes follow each fiber at fewer samples than a line needs to look round
+    const TUBE_SEGMENTS = 128, SURFACE_SEGMENTS = 256
+
+    function batchGeometry(batch){
+        const geometry = new THREE.BufferGeometry()
+        geometry.setAttribute('position', new THREE.BufferAttribute(batch.positions, 3))
+        geometry.setAttribute('color', new THREE.BufferAttribute(batch.colors, 3))
+        if(batch.normals) geometry.setAttribute('normal', new THREE.BufferAttribute(batch.normals, 3))
+        geometry.setIndex(new THREE.BufferAttribute(batch.indices, 1))
+        return geometry
+    }
+
+    // a batch of fibers as lines or as tubes (`scale` times as thick), whichever
+    // is the current style; userData.ranges finds a fiber again from a raycast hit
+    function fiberMesh(fibers, lineMaterial, meshMaterial, scale = 1){
+        const tubes = renderStyle.fiberStyle==='tubes'
+        const batch = tubes
+            ? buildTubeBatch(fibers, { segments: Math.min(fiberSegments, TUBE_SEGMENTS), matrix: rotationMatrix, radius: tubeRadius(scale) })
+            : buildFiberBatch(fibers, { segments: fiberSegments, matrix: rotationMatrix })
+        const mesh = tubes ? new THREE.Mesh(batchGeometry(batch), meshMaterial) : new THREE.LineSegments(batchGeometry(batch), lineMaterial)
+        mesh.userData.ranges = batch.ranges
+        return mesh
+    }
+
+    // the tube radius, or with thickness by distance a radius for each point:
+    // thicker in front of the orbit target and thinner behind it, beyond what
+    // perspective alone does
+    function tubeRadius(scale){
+        const radius = renderStyle.tubeRadius*scale
+        if(renderStyle.depthCue!=='thickness') return radius
+        const eye = camera.position.clone(), reference = eye.distanceTo(controls.target)
+        return p => radius*THREE.MathUtils.clamp((reference/Math.hypot(p.x-eye.x, p.y-eye.y, p.z-eye.z))**2, 0.25, 4)
+    }
+
+    // the surface filled by the sweep's fibers; a latitude and a closed path go all the way round
+    function surfaceMesh(fibers){
+        const closed = currentSweep.mode==='latitude' || (currentSweep.mode==='path' && pathClosed)
+        const batch = buildSurfaceBatch(fibers, { segments: Math.min(fiberSegments, SURFACE_SEGMENTS), matrix: rotationMatrix, closed })
+        const geometry = batchGeometry(batch)
+        geometry.computeVertexNormals()
+        const mesh = new THREE.Mesh(geometry, surfaceMaterial)
+        mesh.userData.ranges = batch.ranges
+        return mesh
+    }
+
+    // which fiber of a layer mesh a raycast hit belongs to, or -1: line hits give
+    // their index entry, triangle hits (tubes, surface) their face, 3 entries each
+    function fiberOfHit(mesh, hit){
+        const entry = hit.faceIndex!=null ? hit.faceIndex*3 : hit.index
+        return mesh.userData.ranges.findIndex(r => entry>=r.start && entry<r.start+r.count)
+    }
+
+    function nextColorIndex(){
+        return fiberIndex++
+    }
+
+    // rebuilds every drawn fiber after the rotation or the detail changed
+    function reprojectFibers(){
+        pointFibers.rebuild()
+        sweepFibers.rebuild()
+        updateLinkReadout()
+    }
+
+    rotationSliders.forEach((slider, i) => {
+        if(!slider) return
+        slider.addEventListener('input', () => {
+            rotation[ROTATION_PLANES[i]] = THREE.MathUtils.degToRad(Number(slider.value))
+            rotationMatrix = rotationMatrix4(rotation)
+            reprojectFibers()
+        })
+    })
+
+    if(segmentsSlider) segmentsSlider.addEventListener('change', () => {
+        fiberSegments = Number(segmentsSlider.value)
+        reprojectFibers()
+    })
+
+    if(densitySlider) densitySlider.addEventListener('change', () => {
+        sweepDensity = Number(densitySlider.value)
+        if(!currentSweep) return
+        // the sweep keeps its colours: it starts the cycle where it started before
+        const next = fiberIndex
+        fiberIndex = currentSweep.colorStart
+        createSweep(currentSweep.mode, currentSweep.point)
+        fiberIndex = Math.max(next, fiberIndex)
+        commitSelection()
+    })
+
+    // -----------------------------
+    // Rendering style
+    // -----------------------------
+    // Lines or tubes, the colour map with its legend, the depth cue and the sweep
+    // surface. Fog closes in around the orbit target wherever the camera goes;
+    // thickness by distance is worked out when the tubes are built, so they are
+    // rebuilt once the camera comes to rest.
+    const FOG_NEAR = 1.5, FOG_FAR = 2.5
+    const DEPTH_REBUILD_DELAY = 200
+    const fog = new THREE.Fog(scene.background, 1, 10)
+
+    function setRenderStyle(changes){
+        const recolor = changes.colorMap!==undefined && changes.colorMap!==renderStyle.colorMap
+        renderStyle = { ...renderStyle, ...changes }
+        // thickness by distance only applies to tubes
+        if(renderStyle.fiberStyle!=='tubes' && renderStyle.depthCue==='thickness') renderStyle.depthCue = 'none'
+        syncStyleControls()
+        scene.fog = renderStyle.depthCue==='fog' ? fog : null
+        updateFog()
+        updateLegend()
+        if(recolor) recolorFibers()
+        else reprojectFibers()
+    }
+
+    function syncStyleControls(){
+        const tubes = renderStyle.fiberStyle==='tubes'
+        if(styleSelect) styleSelect.value = renderStyle.fiberStyle
+        if(thicknessSlider){
+            thicknessSlider.value = renderStyle.tubeRadius
+            thicknessSlider.disabled = !tubes
+        }
+        if(colorMapSelect) colorMapSelect.value = renderStyle.colorMap
+        if(depthSelect){
+            const option = depthSelect.querySelector('option[value="thickness"]')
+            if(option) option.disabled = !tubes
+            depthSelect.value = renderStyle.depthCue
+        }
+        if(surfaceToggle) surfaceToggle.checked = renderStyle.surface
+    }
+
+    // every fiber without a colour of its own takes the colour of the current map
+    function recolorFibers(){
+        ;[pointFibers, sweepFibers].forEach(layer => layer.fibers.forEach(fiber => {
+            fiber.color = fiberColor(fiber.base, fiber.colorIndex, fiber.custom)
+        }))
+        reprojectFibers()
+        updateBaseColors()
+        updateSelectionList()
+    }
+
+    function updateFog(){
+        if(!scene.fog) return
+        const distance = camera.position.distanceTo(controls.target)
+        fog.near = Math.max(0.1, distance-FOG_NEAR)
+        fog.far = distance+FOG_FAR
+    }
+
+    function updateLegend(){
+        if(!legendCanvas) return
+        const shown = renderStyle.colorMap==='base'
+        legendCanvas.style.display = shown ? 'block' : 'none'
+        if(shown) drawColorLegend(legendCanvas, baseCamera())
+    }
+
+    let depthRebuild = null
+    controls.addEventListener('change', () => {
+        // the legend turns with whichever view shows the base sphere
+        if(layout==='single') updateLegend()
+        if(renderStyle.depthCue!=='thickness') return
+        clearTimeout(depthRebuild)
+        depthRebuild = setTimeout(reprojectFibers, DEPTH_REBUILD_DELAY)
+    })
+
+    if(styleSelect) styleSelect.addEventListener('change', () => setRenderStyle({ fiberStyle: styleSelect.value }))
+    if(thicknessSlider) thicknessSlider.addEventListener('change', () => setRenderStyle({ tubeRadius: Number(thicknessSlider.value) }))
+    if(colorMapSelect) colorMapSelect.addEventListener('change', () => setRenderStyle({ colorMap: colorMapSelect.value }))
+    if(depthSelect) depthSelect.addEventListener('change', () => setRenderStyle({ depthCue: depthSelect.value }))
+    if(surfaceToggle) surfaceToggle.addEventListener('change', () => setRenderStyle({ surface: surfaceToggle.checked }))
+
+    // -----------------------------
+    // Views
+    // -----------------------------
+    // The base sphere has a view of its own that orbits independently, and
+    // selections are made there while the main view shows only the projected
+    // fibers. 'split' shows the base view as an inset, 'swapped' shows the fibers
+    // in the inset instead and 'single' draws everything in the main view.
+    const INSET_SIZE = 240, INSET_MARGIN = 40   // as .view-inset places it
+    const CURSOR_KEYS = 'Arrow keys move a cursor, Shift for larger steps, Enter selects at the cursor.'
+    let layout = 'split'
+
+    // which parts a tap or hover on a canvas can reach
+    const BASE_VIEW = { base: true, total: false }
+    const mainView = () => ({ base: layout==='single', total: true })
+
+    // where the base sphere is drawn, for path strokes and the legend
+    const baseCanvas = () => layout==='single' ? renderer.domElement : baseView.canvas
+    const baseCamera = () => layout==='single' ? camera : baseView.camera
+    const baseControls = () => layout==='single' ? controls : baseView.controls
+
+    function setLayout(next){
+        layout = next
+        const single = layout==='single', swapped = layout==='swapped'
+        ;(single ? scene : baseView.scene).add(baseGroup)
+        baseView.canvas.style.display = single ? 'none' : 'block'
+        renderer.domElement.classList.toggle('view-inset', swapped)
+        renderer.domElement.classList.toggle('view-full', !swapped)
+        baseView.canvas.classList.toggle('view-inset', !swapped)
+        baseView.canvas.classList.toggle('view-full', swapped)
+        // the keyboard cursor walks the base sphere, wherever it is drawn
+        if(single) renderer.domElement.setAttribute('role', 'application')
+        else renderer.domElement.removeAttribute('role')
+        renderer.domElement.setAttribute('aria-label', single
+            ? `Base sphere S² and the Hopf fibers of its points in ℝ³. ${CURSOR_KEYS}`
+            : 'Hopf fibers: S³ stereographically projected to ℝ³. Drag to orbit.')
+        // the link readout moves up out of the inset's way
+        document.body.classList.toggle('has-inset', !single)
+        if(insetToggle) insetToggle.checked = !single
+        if(swapBtn) swapBtn.disabled = single
+        clearHover()
+        resizeViews()
+        updateLegend()
+    }
+
+    function setMainSize(width, height){
+        renderer.setSize(width, height)
+        camera.aspect = width/height
+        camera.updateProjectionMatrix()
     }
 
-    function createMarker(pos){
-        const dot = new THREE.Mesh(new THREE.SphereGeometry(0.015,32,32), new THREE.MeshBasicMaterial({color:0x000000}))
-        dot.position.copy(pos)
+    // after the runtime's own resize handler, which fills the window with the main view
+    function resizeViews(){
+        const full = [window.innerWidth, window.innerHeight], inset = [INSET_SIZE, INSET_SIZE]
+        setMainSize(...(layout==='swapped' ? inset : full))
+        if(layout!=='single') baseView.setSize(...(layout==='swapped' ? full : inset))
+    }
+
+    window.addEventListener('resize', resizeViews)
+
+    const windowSize = () => new THREE.Vector2(window.innerWidth, window.innerHeight)
+
+    // Both views drawn by the main renderer into one frame of the window's shape,
+    // the inset in its corner, for captures and recordings. The renderer is at
+    // the frame's size while this runs (see withRenderScale).
+    function drawViews(){
+        const swapped = layout==='swapped'
+        const full = swapped ? [baseView.scene, baseView.camera] : [scene, camera]
+        const inset = swapped ? [scene, camera] : [baseView.scene, baseView.camera]
+        const size = renderer.getSize(new THREE.Vector2())
+        renderer.render(...full)
+        if(layout==='single') return
+        const k = size.x/window.innerWidth, side = INSET_SIZE*k, margin = INSET_MARGIN*k
+        renderer.setScissorTest(true)
+        renderer.setViewport(size.x - margin - side, margin, side, side)
+        renderer.setScissor(size.x - margin - side, margin, side, side)
+        renderer.render(...inset)
+        renderer.setScissorTest(false)
+        renderer.setViewport(0, 0, size.x, size.y)
+    }
+    baseView.controls.addEventListener('change', () => { if(layout!=='single') updateLegend() })
+    baseView.canvas.setAttribute('role', 'application')
+    baseView.canvas.setAttribute('aria-label', `Base sphere S². Click to select; drag to orbit it. ${CURSOR_KEYS}`)
+
+    // a tap on the base view, like the runtime's taps on the main view
+    onTap(baseView.canvas, event => {
+        pointerToNDC(event, baseView.canvas, mouse)
+        raycaster.setFromCamera(mouse, baseView.camera)
+        selectAtPointer(BASE_VIEW)
+    })
+
+    if(insetToggle) insetToggle.addEventListener('change', () => setLayout(insetToggle.checked ? 'split' : 'single'))
+    if(swapBtn) swapBtn.addEventListener('click', () => setLayout(layout==='swapped' ? 'split' : 'swapped'))
+
+    // -----------------------------
+    // Markers & selection curves
+    // -----------------------------
+    // Drawn on the base sphere in the colours of their fibers, so the two views
+    // can be matched up at a glance.
+    function createMarker(fiber, index){
+        const dot = new THREE.Mesh(markerGeometry, new THREE.MeshBasicMaterial({ color: fiber.color }))
+        dot.position.copy(fiber.base)
+        // index of its fiber in pointFibers, for the link picker
+        dot.userData.fiber = index
+        dot.visible = !fiber.hidden
         markersGroup.add(dot)
+        return dot
+    }
+
+    // one marker per point fiber, hidden along with its fiber
+    function rebuildMarkers(){
+        exhibit.dispose(markersGroup)
+        pointFibers.fibers.forEach(createMarker)
     }
 
     function drawSelectionCircle(points){
-        sphereLinesGroup.clear()
+        exhibit.dispose(sphereLinesGroup)
         const geometry = new THREE.BufferGeometry().setFromPoints(points)
         const material = new THREE.LineBasicMaterial({ color:0x000000 })
         const line = new THREE.Line(geometry, material)
         line.scale.set(1.005,1.005,1.005)
+        line.userData.points = points
         sphereLinesGroup.add(line)
+        colorSelectionCurve()
+    }
+
+    // each point of the curve in the colour of the sweep fiber nearest to it;
+    // black while there are no fibers yet, as while a path is being drawn
+    function colorSelectionCurve(){
+        const line = sphereLinesGroup.children[0]
+        const colors = line && nearestFiberColors(line.userData.points, sweepFibers.fibers)
+        if(!colors) return
+        line.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3))
+        line.material.color.set(0xffffff)
+        line.material.vertexColors = true
+        line.material.needsUpdate = true
+    }
+
+    // after fibers changed colour
+    function updateBaseColors(){
+        rebuildMarkers()
+        colorSelectionCurve()
     }
 
     // -----------------------------
     // Interaction
     // -----------------------------
-    const raycaster = new THREE.Raycaster()
     const mouse = new THREE.Vector2()
 
-    window.addEventListener('click', (event) => {
-        if(holdScene) return
-        if(event.target !== renderer.domElement) return
-        mouse.x = (event.clientX / window.innerWidth)*2-1
-        mouse.y = -(event.clientY / window.innerHeight)*2+1
-        raycaster.setFromCamera(mouse,camera)
+    // a tap (orbiting, pinching and path strokes never select), with the raycaster
+    // already aimed at it from the camera of `view`
+    function selectAtPointer(view){
+        if(linkToggle && linkToggle.checked){ pickFiber(fiberAtPointer(view)); return }
+        if(exhibit.frozen || !view.base) return
         const intersects = raycaster.intersectObject(sphere)
         if(intersects.length===0) return
-        const point = intersects[0].point.clone().normalize()
+        selectAt(intersects[0].point.clone().normalize())
+    }
 
+    // what a click on the sphere at point does in the current mode; `live` updates
+    // from a parameter slider reshape the sweep without recording history
+    function selectAt(point, { live = false } = {}){
         if(selectionMode){
-            const currentColor=fiberColors[fiberIndex%fiberColors.length]; fiberIndex++
-            createMarker(point)
-            createHopfFiber(point,currentColor,fibersGroup)
-        }
-
-        if(longitudeMode){
-            torusGroup.clear()
-            const phi=Math.atan2(point.y,point.x)
-            const pathPoints=[]
-            for(let i=0;i<=200;i++){
-                const theta=(i/200)*Math.PI*2
-                const p = new THREE.Vector3(Math.sin(theta)*Math.cos(phi), Math.sin(theta)*Math.sin(phi), Math.cos(theta))
-                pathPoints.push(p)
-                if(i<=100){ createHopfFiber(p, fiberColors[fiberIndex%fiberColors.length], torusGroup); fiberIndex++ }
+            pointFibers.add([point], nextColorIndex)
+            rebuildMarkers()
+        }
+
+        if(longitudeMode || latitudeMode){
+            const mode = longitudeMode ? 'longitude' : 'latitude'
+            // a slider keeps the colours of the sweep it is reshaping; a new sweep starts with the defaults
+            if(live && currentSweep && currentSweep.mode===mode) fiberIndex = currentSweep.colorStart
+            else sweepStyle = { hidden:false, custom:null }
+            createSweep(mode, point)
+        }
+        if(live) updateSelectionList()
+        else commitSelection()
+    }
+
+    // fills the torus layer with the fibers over the latitude/longitude through point,
+    // or over the free-hand path
+    function createSweep(mode, point){
+        // colorStart is where the colour cycle began, for a rebuild with the same
+        // colours and for shared links
+        currentSweep = { mode, point, colorStart: fiberIndex }
+        sweepFibers.fibers = []
+        if(mode==='path'){
+            const path = smoothPath()
+            // colour by sample index so the surface does not flicker while a handle is dragged
+            sweepFibers.add(resamplePath(path, sweepDensity, pathClosed), i => i, sweepStyle)
+            drawSelectionCircle(path)
+        } else {
+            sweepFibers.add(sweepBasePoints(mode, point, sweepDensity), nextColorIndex, sweepStyle)
+            const path = mode==='latitude' ? latitudeCircle(point.z, 200) : longitudeCircle(Math.atan2(point.y,point.x), 200)
+            drawSelectionCircle(path.map(p => new THREE.Vector3(p.x, p.y, p.z)))
+        }
+        sphereLinesGroup.visible = !sweepStyle.hidden
+    }
+
+    // -----------------------------
+    // Linking readout
+    // -----------------------------
+    // Two point fibers picked by clicking the fiber or its marker; the panel
+    // shows their linking number and the geometry of their projected circles.
+    let linkPicks = []
+    raycaster.params.Line.threshold = 0.05
+
+    // index of the point fiber (or its marker) under the pointer, or -1
+    function fiberAtPointer(view){
+        const markerHit = view.base && raycaster.intersectObjects(markersGroup.children.filter(m => m.visible))[0]
+        if(markerHit) return markerHit.object.userData.fiber
+        if(!view.total || !pointFibers.mesh) return -1
+        const hit = raycaster.intersectObject(pointFibers.mesh)[0]
+        return hit ? fiberOfHit(pointFibers.mesh, hit) : -1
+    }
+
+    function pickFiber(fiber){
+        if(fiber<0 || linkPicks.includes(fiber)) return
+        linkPicks = [...linkPicks, fiber].slice(-2)
+        updateLinkReadout()
+    }
+
+    const fmt = x => x.toFixed(3)
+    const fmtVec = p => `(${fmt(p.x)}, ${fmt(p.y)}, ${fmt(p.z)})`
+    const fmtDeg = x => `${THREE.MathUtils.radToDeg(x).toFixed(1)}°`
+
+    function describeFiber(label, base){
+        const { theta, phi } = cartesianToSpherical(base)
+        const { a, b } = hopfFiberFrame(base)
+        const circle = projectedCircle(applyMatrix4(rotationMatrix, a), applyMatrix4(rotationMatrix, b))
+        const shape = circle.line
+            ? 'projects to a straight line (through the pole)'
+            : `center ${fmtVec(circle.center)}<br>radius ${fmt(circle.radius)}<br>normal ${fmtVec(circle.normal)}`
+        return `<p><strong>Fiber ${label}</strong><br>base θ ${fmtDeg(theta)}, φ ${fmtDeg(phi)}<br>${shape}</p>`
+    }
+
+    // a few fibers drawn on their own, on top of the layers
+    function fiberLines(fibers, material){
+        return new THREE.LineSegments(batchGeometry(buildFiberBatch(fibers, { segments: fiberSegments, matrix: rotationMatrix })), material)
+    }
+
+    // picked or hovered fibers: opaque lines, or unlit tubes around the drawn ones
+    function fiberHighlight(fibers){
+        return fiberMesh(fibers, highlightMaterial, highlightTubeMaterial, 1.6)
+    }
+
+    function updateLinkReadout(){
+        exhibit.dispose(highlightGroup)
+        if(!linkPanel) return
+        linkPanel.style.display = linkToggle && linkToggle.checked ? 'block' : 'none'
+        const picked = linkPicks.map(i => pointFibers.fibers[i]).filter(Boolean)
+
+        // redraw the picked fibers fully opaque on top of the batch
+        if(picked.length) highlightGroup.add(fiberHighlight(picked))
+
+        if(picked.length<2){
+            linkPanel.innerHTML = `<p>Pick two point fibers (click a fiber or its marker). ${picked.length}/2 selected.</p>`
+            return
+        }
+        const [A, B] = picked
+        const lk = hopfLinkingNumber(A.base, B.base)
+        linkPanel.innerHTML = describeFiber('A', A.base) + describeFiber('B', B.base) +
+            `<p>angle between base points ${fmtDeg(angularDistance(A.base, B.base))}</p>` +
+            (Number.isNaN(lk)
+                ? `<p><strong>Same fiber</strong><br>both points have the same base point, so there is no linking number</p>`
+                : `<p><strong>Linking number ${Math.round(lk)}</strong><br>Gauss integral ${lk.toFixed(4)}</p>`)
+    }
+
+    if(linkToggle) linkToggle.addEventListener('change', () => {
+        linkPicks = []
+        updateLinkReadout()
+    })
+
+    // -----------------------------
+    // Precise input
+    // -----------------------------
+    // Typed points and latitude/longitude sliders go through selectAt, like clicks.
+    // exhibit.setMode switches mode the way the toggle does, clearing the scene
+    const { setMode } = exhibit
+
+    if(preciseInput) createPreciseInput(preciseInput, {
+        onPoint(p){
+            if(exhibit.frozen) return
+            // a typed point goes to the active mode, or adds a point fiber
+            if(!selectionMode && !longitudeMode && !latitudeMode) setMode('point')
+            selectAt(new THREE.Vector3(p.x, p.y, p.z))
+        },
+        onLatitude(degrees, live){
+            if(exhibit.frozen) return
+            setMode('latitude')
+            const p = latitudePoint(degrees)
+            selectAt(new THREE.Vector3(p.x, p.y, p.z), { live })
+        },
+        onLongitude(degrees, live){
+            if(exhibit.frozen) return
+            setMode('longitude')
+            const p = longitudePoint(degrees)
+            selectAt(new THREE.Vector3(p.x, p.y, p.z), { live })
+        },
+        onSweepEnd(){
+            if(!exhibit.frozen) commitSelection()
+        }
+    })
+
+    // -----------------------------
+    // Hover readout
+    // -----------------------------
+    // Over the sphere: the base point, one point of its fiber in S³ and a ghost
+    // preview of the fiber. Over a drawn fiber: the fiber itself, highlighted
+    // together with its marker and its base point, in whichever view shows them.
+    const hoverReadout = hoverElement && createHoverReadout(hoverElement)
+    const ghostMaterial = new THREE.LineBasicMaterial({ color:0xffffff, transparent:true, opacity:0.35, depthWrite:false })
+    exhibit.shared.add(ghostMaterial)
+    const hoverGroup = new THREE.Group()
+    scene.add(hoverGroup)
+    let hoveredMarker = null
+    const baseHighlight = new THREE.Mesh(handleGeometry, new THREE.MeshBasicMaterial())
+    exhibit.shared.add(baseHighlight.material)
+    baseHighlight.visible = false
+    baseGroup.add(baseHighlight)
+
+    function clearHover(){
+        exhibit.dispose(hoverGroup)
+        baseHighlight.visible = false
+        if(hoveredMarker) hoveredMarker.scale.setScalar(1)
+        hoveredMarker = null
+        if(hoverReadout) hoverReadout.hide()
+    }
+
+    // nearest drawn fiber under the pointer (markers count as their fiber), or null
+    function fiberUnderPointer(view){
+        const markerHit = view.base && raycaster.intersectObjects(markersGroup.children.filter(m => m.visible))[0]
+        if(markerHit) return { layer: pointFibers, index: markerHit.object.userData.fiber, distance: markerHit.distance }
+        if(!view.total) return null
+        let best = null
+        for(const layer of [pointFibers, sweepFibers]){
+            const hit = layer.mesh && raycaster.intersectObject(layer.mesh)[0]
+            if(!hit || (best && best.distance<=hit.distance)) continue
+            const index = fiberOfHit(layer.mesh, hit)
+            if(index>=0) best = { layer, index, distance: hit.distance }
+        }
+        return best
+    }
+
+    function baseLines(base){
+        const { theta, phi } = cartesianToSpherical(base)
+        return [`θ ${formatDegrees(theta)}   φ ${formatDegrees(phi)}`, `(x, y, z) ${formatPoint(base)}`]
+    }
+
+    function hoverAt(event, canvas, viewCamera, view){
+        // nothing while orbiting, drawing a path or recording
+        if(!hoverReadout || event.buttons || stroke || dragHandle || exhibit.paused){ clearHover(); return }
+        clearHover()
+        pointerToNDC(event, canvas, mouse)
+        raycaster.setFromCamera(mouse,viewCamera)
+        const sphereHit = view.base && raycaster.intersectObject(sphere)[0]
+        const fiberHit = fiberUnderPointer(view)
+
+        if(fiberHit && (!sphereHit || fiberHit.distance<sphereHit.distance)){
+            const fiber = fiberHit.layer.fibers[fiberHit.index]
+            hoverGroup.add(fiberHighlight([fiber]))
+            baseHighlight.position.copy(fiber.base)
+            baseHighlight.material.color.copy(fiber.color)
+            baseHighlight.visible = true
+            if(fiberHit.layer===pointFibers){
+                hoveredMarker = markersGroup.children[fiberHit.index]
+                hoveredMarker.scale.setScalar(2.5)
             }
-            drawSelectionCircle(pathPoints)
-        }
-
-        if(latitudeMode){
-            torusGroup.clear()
-            const r = Math.sqrt(1-point.z*point.z)
-            const pathPoints=[]
-            for(let i=0;i<=200;i++){
-                const t = (i/200)*2*Math.PI
-                const p = new THREE.Vector3(r*Math.cos(t), r*Math.sin(t), point.z)
-                pathPoints.push(p)
-                createHopfFiber(p, fiberColors[fiberIndex%fiberColors.length], torusGroup)
-                fiberIndex++
+            const name = fiberHit.layer===pointFibers ? 'Point fiber' : `${currentSweep.mode[0].toUpperCase()}${currentSweep.mode.slice(1)} fiber`
+            hoverReadout.show(event.clientX, event.clientY, [`${name} ${fiberHit.index+1}`, ...baseLines(fiber.base)])
+            return
+        }
+        if(!sphereHit) return
+
+        const n = sphereHit.point.clone().normalize()
+        hoverGroup.add(fiberLines([{ base: n, color: { r:1, g:1, b:1 } }], ghostMaterial))
+        // the point of the fiber at t = 0, as (z₁, z₂) ∈ ℂ² and as a unit quaternion z₁ + z₂ j
+        const { a: q } = hopfFiberFrame(n)
+        const sign = x => (x<0 ? ' − ' : ' + ')
+        hoverReadout.show(event.clientX, event.clientY, [
+            'Base point on S²',
+            ...baseLines(n),
+            `z₁ ${formatComplex(q.x, q.y)}`,
+            `z₂ ${formatComplex(q.z, q.w)}`,
+            `q ${formatNumber(q.x)}${sign(q.y)}${Math.abs(q.y).toFixed(3)}i${sign(q.z)}${Math.abs(q.z).toFixed(3)}j${sign(q.w)}${Math.abs(q.w).toFixed(3)}k`
+        ])
+    }
+
+    onPointerHover(renderer.domElement, event => hoverAt(event, renderer.domElement, camera, mainView()), clearHover)
+    onPointerHover(baseView.canvas, event => hoverAt(event, baseView.canvas, baseView.camera, BASE_VIEW), clearHover)
+
+    // -----------------------------
+    // Keyboard cursor
+    // -----------------------------
+    // With the canvas focused, the arrow keys walk a cursor over the sphere and
+    // Enter acts like a tap there. The cursor previews its fiber like a hover.
+    const cursorMaterial = new THREE.MeshBasicMaterial({ color:0xffcc00 })
+    exhibit.shared.add(cursorMaterial)
+    const cursorDot = new THREE.Mesh(handleGeometry, cursorMaterial)
+    cursorDot.visible = false
+    const cursorGroup = new THREE.Group()
+    baseGroup.add(cursorDot)
+    scene.add(cursorGroup)
+
+    // the visible point fiber with its base nearest p, within 10°, or -1
+    function nearestPointFiber(p){
+        let best = -1, bestAngle = THREE.MathUtils.degToRad(10)
+        pointFibers.fibers.forEach((fiber, i) => {
+            const angle = fiber.hidden ? Infinity : angularDistance(fiber.base, p)
+            if(angle<bestAngle){ best = i; bestAngle = angle }
+        })
+        return best
+    }
+
+    // on whichever canvas draws the base sphere (see setLayout for the labels)
+    const sphereCursor = canvas => ({
+        status: cursorStatus,
+        enabled: () => baseCanvas()===canvas,
+        onMove(p){
+            const point = new THREE.Vector3(p.x, p.y, p.z)
+            cursorDot.position.copy(point)
+            cursorDot.visible = true
+            exhibit.dispose(cursorGroup)
+            cursorGroup.add(fiberLines([{ base: point, color: { r:1, g:1, b:1 } }], ghostMaterial))
+        },
+        onSelect(p){
+            const point = new THREE.Vector3(p.x, p.y, p.z)
+            if(linkToggle && linkToggle.checked){ pickFiber(nearestPointFiber(point)); return }
+            if(exhibit.frozen || pathMode) return
+            selectAt(point)
+        },
+        onHide(){
+            cursorDot.visible = false
+            exhibit.dispose(cursorGroup)
+        }
+    })
+    createSphereCursor(baseView.canvas, sphereCursor(baseView.canvas))
+    createSphereCursor(renderer.domElement, sphereCursor(renderer.domElement))
+
+    // -----------------------------
+    // Free-hand path mode
+    // -----------------------------
+    // Dragging across the sphere paints a stroke; on release the stroke becomes a
+    // handful of control points that can be dragged to reshape the path.
+    let stroke = null, dragHandle = null, pathUpdatePending = false
+
+    function spherePointAt(event){
+        pointerToNDC(event, baseCanvas(), mouse)
+        raycaster.setFromCamera(mouse,baseCamera())
+        const hit = raycaster.intersectObject(sphere)[0]
+        return hit ? hit.point.clone().normalize() : null
+    }
+
+    // Catmull-Rom through the control points, pushed back onto the sphere
+    function smoothPath(){
+        const curve = new THREE.CatmullRomCurve3(pathControls, pathClosed, 'centripetal')
+        return curve.getPoints(pathControls.length*16).map(p => p.normalize())
+    }
+
+    function createPathHandles(){
+        exhibit.dispose(pathHandlesGroup)
+        pathControls.forEach((p, index) => {
+            const handle = new THREE.Mesh(handleGeometry, handleMaterial)
+            handle.position.copy(p)
+            handle.userData.index = index
+            pathHandlesGroup.add(handle)
+        })
+    }
+
+    function finishStroke(points){
+        let length = 0
+        for(let i=1;i<points.length;i++) length += angularDistance(points[i-1], points[i])
+        if(points.length<3 || length<0.05) return
+        pathClosed = length>0.5 && angularDistance(points[0], points[points.length-1])<0.15
+        const count = Math.min(24, Math.max(4, Math.round(length/0.25)))
+        pathControls = resamplePath(points, count, pathClosed).map(p => new THREE.Vector3(p.x, p.y, p.z))
+        createPathHandles()
+        createSweep('path')
+        commitSelection()
+    }
+
+    function schedulePathUpdate(){
+        if(pathUpdatePending) return
+        pathUpdatePending = true
+        requestAnimationFrame(() => {
+            pathUpdatePending = false
+            createSweep('path')
+        })
+    }
+
+    // capture phase, so OrbitControls never starts orbiting while a path is drawn or edited
+    window.addEventListener('pointerdown', (event) => {
+        if(!pathMode || exhibit.frozen) return
+        if(event.target !== baseCanvas()) return
+        const p = spherePointAt(event)
+        const handleHit = raycaster.intersectObjects(pathHandlesGroup.children)[0]
+        if(handleHit){
+            dragHandle = handleHit.object
+        } else if(p){
+            clearPreviousSelections()
+            stroke = [p]
+        } else return
+        baseControls().enabled = false
+        baseCanvas().setPointerCapture(event.pointerId)
+    }, true)
+
+    window.addEventListener('pointermove', (event) => {
+        if(!stroke && !dragHandle) return
+        const p = spherePointAt(event)
+        if(!p) return
+        if(stroke){
+            if(angularDistance(stroke[stroke.length-1], p) < 0.01) return
+            stroke.push(p)
+            drawSelectionCircle(stroke)
+        } else {
+            pathControls[dragHandle.userData.index].copy(p)
+            dragHandle.position.copy(p)
+            schedulePathUpdate()
+        }
+    })
+
+    window.addEventListener('pointerup', () => {
+        if(!stroke && !dragHandle) return
+        if(stroke) finishStroke(stroke)
+        else commitSelection()
+        stroke = null
+        dragHandle = null
+        baseControls().enabled = true
+    })
+
+    // -----------------------------
+    // Selection list & history
+    // -----------------------------
+    // Every point fiber is one selection, the sweep or path another. Snapshots
+    // are plain data (base points, colour indices, styles), so undo and redo
+    // simply rebuild the scene from them.
+    const selectionHistory = createHistory()
+
+    function snapshot(){
+        const vec = p => ({ x:p.x, y:p.y, z:p.z })
+        return {
+            points: pointFibers.fibers.map(f => ({ base: vec(f.base), colorIndex: f.colorIndex, custom: f.custom, hidden: f.hidden })),
+            sweep: currentSweep && { mode: currentSweep.mode, point: currentSweep.point ? vec(currentSweep.point) : null, colorStart: currentSweep.colorStart },
+            sweepStyle: { ...sweepStyle },
+            path: pathControls.map(vec),
+            pathClosed,
+            density: sweepDensity,
+            fiberIndex
+        }
+    }
+
+    function applySnapshot(snap){
+        clearPreviousSelections()
+        const vec = p => new THREE.Vector3(p.x, p.y, p.z)
+        pointFibers.fibers = snap.points.map(p => makeFiber(vec(p.base), p.colorIndex, p))
+        pointFibers.rebuild()
+        rebuildMarkers()
+        sweepStyle = { ...snap.sweepStyle }
+        // the sweep comes back with the fibers it had
+        sweepDensity = snap.density
+        if(densitySlider) densitySlider.value = sweepDensity
+        if(snap.sweep && snap.sweep.mode==='path'){
+            pathControls = snap.path.map(vec)
+            pathClosed = snap.pathClosed
+            createPathHandles()
+            createSweep('path')
+        } else if(snap.sweep){
+            fiberIndex = snap.sweep.colorStart
+            createSweep(snap.sweep.mode, vec(snap.sweep.point))
+        }
+        fiberIndex = snap.fiberIndex
+        updateSelectionList()
+    }
+
+    function commitSelection(){
+        selectionHistory.push(snapshot())
+        updateSelectionList()
+    }
+
+    function undo(){
+        if(exhibit.frozen) return
+        const snap = selectionHistory.undo()
+        if(snap) applySnapshot(snap)
+    }
+
+    function redo(){
+        if(exhibit.frozen) return
+        const snap = selectionHistory.redo()
+        if(snap) applySnapshot(snap)
+    }
+
+    const fmt2 = p => `(${p.x.toFixed(2)}, ${p.y.toFixed(2)}, ${p.z.toFixed(2)})`
+
+    function selectionEntries(){
+        const entries = pointFibers.fibers.map((fiber, i) => ({
+            id: i, mode: 'Point', detail: fmt2(fiber.base), color: `#${fiber.color.getHexString()}`, visible: !fiber.hidden
+        }))
+        if(currentSweep){
+            const first = sweepFibers.fibers[0]
+            entries.push({
+                id: 'sweep',
+                mode: currentSweep.mode[0].toUpperCase() + currentSweep.mode.slice(1),
+                detail: currentSweep.mode==='path' ? `${pathControls.length} control points${pathClosed ? ', closed' : ''}` : `through ${fmt2(currentSweep.point)}`,
+                color: first ? `#${first.color.getHexString()}` : '#ffffff',
+                visible: !sweepStyle.hidden
+            })
+        }
+        return entries
+    }
+
+    const selectionList = selectionPanel && createSelectionList(selectionPanel, {
+        onToggle(id){
+            if(exhibit.frozen) return
+            if(id==='sweep'){
+                sweepStyle.hidden = !sweepStyle.hidden
+                sweepFibers.fibers.forEach(f => { f.hidden = sweepStyle.hidden })
+                sphereLinesGroup.visible = !sweepStyle.hidden
+                sweepFibers.rebuild()
+            } else {
+                pointFibers.fibers[id].hidden = !pointFibers.fibers[id].hidden
+                pointFibers.rebuild()
+                rebuildMarkers()
+                updateLinkReadout()
+            }
+            commitSelection()
+        },
+        onRecolor(id, hex){
+            if(exhibit.frozen) return
+            const custom = parseInt(hex.slice(1), 16)
+            const fibers = id==='sweep' ? sweepFibers.fibers : [pointFibers.fibers[id]]
+            if(id==='sweep') sweepStyle.custom = custom
+            fibers.forEach(f => { f.custom = custom; f.color.setHex(custom) })
+            reprojectFibers()
+            updateBaseColors()
+            commitSelection()
+        },
+        onDelete(id){
+            if(exhibit.frozen) return
+            if(id==='sweep'){
+                sweepFibers.clear()
+                exhibit.dispose(sphereLinesGroup)
+                exhibit.dispose(pathHandlesGroup)
+                currentSweep = null
+                pathControls = []
+            } else {
+                pointFibers.fibers.splice(id, 1)
+                pointFibers.rebuild()
+                rebuildMarkers()
+                linkPicks = []
+                updateLinkReadout()
+            }
+            commitSelection()
+        },
+        onUndo: undo,
+        onRedo: redo
+    })
+
+    function updateSelectionList(){
+        if(selectionList) selectionList.render(selectionEntries(), { canUndo: selectionHistory.canUndo, canRedo: selectionHistory.canRedo })
+    }
+
+    bindUndoKeys(undo, redo)
+
+    // -----------------------------
+    // Mesh export
+    // -----------------------------
+    // The drawn fibers as separate objects, one per fiber, named and tagged with
+    // their base point on S² so a model can be traced back to the selection.
+    // Tubes get the default radius of the drawn ones (TUBE_RADIUS).
+
+    // the fiber through the projection pole is cut to this length instead of `far`
+    const EXPORT_FAR = 20
+
+    function buildExportGroup(tubes){
+        const group = new THREE.Group()
+        group.name = 'hopf-fibration'
+        const layers = [['point', pointFibers], ['sweep', sweepFibers]]
+        layers.forEach(([layerName, layer]) => layer.fibers.forEach((fiber, i) => {
+            if(fiber.hidden) return
+            const { a, b } = hopfFiberFrame(fiber.base)
+            const points = projectGreatCircle(applyMatrix4(rotationMatrix, a), applyMatrix4(rotationMatrix, b), fiberSegments, EXPORT_FAR)
+            const closed = points.length > 2
+            const material = tubes
+                ? new THREE.MeshStandardMaterial({ color: fiber.color })
+                : new THREE.LineBasicMaterial({ color: fiber.color })
+            const object = tubes
+                ? new THREE.Mesh(tubeGeometry(points, TUBE_RADIUS, closed), material)
+                : new THREE.Line(new THREE.BufferGeometry().setFromPoints(points.map(p => new THREE.Vector3(p.x, p.y, p.z))), material)
+            object.name = `${layerName}_fiber_${i}`
+            object.userData = {
+                base: [fiber.base.x, fiber.base.y, fiber.base.z].map(n => Number(n.toFixed(6))),
+                color: `#${fiber.color.getHexString()}`,
+                rotation: rotationSliders.map(slider => slider ? Number(slider.value) : 0)
+            }
+            group.add(object)
+        }))
+        return group
+    }
+
+    if(exportBtn) exportBtn.addEventListener('click', async () => {
+        const group = buildExportGroup(tubesToggle && tubesToggle.checked)
+        if(group.children.length===0) return
+        const name = `hopf-fibration-${Date.now()}`
+        if(exportFormat && exportFormat.value==='obj') exportOBJ(group, name)
+        else await exportGLB(group, `${name}.glb`)
+        exhibit.dispose(group)
+    })
+
+    // -----------------------------
+    // Recording
+    // -----------------------------
+    // Scripted loops that end where they started: a full camera orbit around the
+    // target, or a full turn of S³ in the XW plane. While recording, the render
+    // loop pauses and each frame is drawn by the script at a fixed time step.
+    const RECORD_DURATION = 8, RECORD_FPS = 30
+
+    const RECORD_SCRIPTS = {
+        orbit(){
+            const offset = camera.position.clone().sub(controls.target)
+            const axis = new THREE.Vector3(0, 1, 0)
+            return {
+                step: t => {
+                    camera.position.copy(controls.target).add(offset.clone().applyAxisAngle(axis, 2*Math.PI*t/RECORD_DURATION))
+                    camera.lookAt(controls.target)
+                },
+                restore: () => camera.position.copy(controls.target).add(offset)
+            }
+        },
+        rotate(){
+            const start = rotation.xw
+            const setXW = angle => {
+                rotation.xw = angle
+                rotationMatrix = rotationMatrix4(rotation)
+                reprojectFibers()
+            }
+            return {
+                step: t => setXW(start + 2*Math.PI*t/RECORD_DURATION),
+                restore: () => setXW(start)
             }
-            drawSelectionCircle(pathPoints)
+        }
+    }
+
+    if(recordBtn) recordBtn.addEventListener('click', async () => {
+        if(exhibit.paused) return
+        const script = RECORD_SCRIPTS[recordScript ? recordScript.value : 'orbit']()
+        const format = recordFormat ? recordFormat.value : 'webm'
+        if(recordError) recordError.textContent = ''
+        exhibit.paused = true
+        controls.enabled = false
+        exhibit.setOverlaysVisible(false)
+        try {
+            const blob = await recordAnimation({
+                renderer, scene, camera,
+                draw: drawViews, size: windowSize(),
+                step: script.step,
+                duration: RECORD_DURATION, fps: RECORD_FPS,
+                scale: captureScale ? Number(captureScale.value) : 1,
+                format,
+                onProgress: done => { recordBtn.textContent = `Recording ${Math.round(done*100)}%` }
+            })
+            download(blob, `hopf-fibration-${Date.now()}.${format==='png' ? 'zip' : 'webm'}`)
+        } catch(err) {
+            // shown under the button once the panels are back
+            if(recordError) recordError.textContent = err.message
+        } finally {
+            script.restore()
+            exhibit.paused = false
+            controls.enabled = true
+            exhibit.setOverlaysVisible(true)
+            recordBtn.textContent = 'Record'
         }
     })
 
-    window.addEventListener('resize', () => {
-        camera.aspect = window.innerWidth/window.innerHeight
-        camera.updateProjectionMatrix()
-        renderer.setSize(window.innerWidth, window.innerHeight)
+    // -----------------------------
+    // Shareable links
+    // -----------------------------
+    // Everything needed to rebuild the view goes into the URL hash: mode, point
+    // fibers (base point + colour index), the sweep or path, 4D rotation, detail,
+    // rendering style, colour counter, both cameras, the layout and the frozen state.
+    function shareState(){
+        const state = {
+            mode: exhibit.activeMode(),
+            // hidden and recoloured fibers add two numbers: hidden flag and colour (-1 = cycled)
+            pts: pointFibers.fibers.map(f => formatNumbers(f.hidden || f.custom!==null
+                ? [f.base.x, f.base.y, f.base.z, f.colorIndex, f.hidden ? 1 : 0, f.custom ?? -1]
+                : [f.base.x, f.base.y, f.base.z, f.colorIndex])).join(';'),
+            rot: rotationSliders.every(slider => !slider || Number(slider.value)===0) ? null : formatNumbers(rotationSliders.map(slider => slider ? Number(slider.value) : 0)),
+            seg: fiberSegments,
+            den: sweepDensity,
+            style: renderStyle.fiberStyle==='lines' ? null : renderStyle.fiberStyle,
+            th: renderStyle.tubeRadius===DEFAULT_STYLE.tubeRadius ? null : renderStyle.tubeRadius,
+            cm: renderStyle.colorMap==='cycle' ? null : renderStyle.colorMap,
+            depth: renderStyle.depthCue==='none' ? null : renderStyle.depthCue,
+            surf: renderStyle.surface ? 1 : null,
+            fi: fiberIndex,
+            ...cameraParams(camera, controls),
+            view: layout==='split' ? null : layout,
+            bcam: layout==='single' ? null : formatVector(baseView.camera.position),
+            frozen: exhibit.frozen ? 1 : null
+        }
+        if(currentSweep && currentSweep.mode==='path'){
+            state.path = formatVectorList(pathControls)
+            state.closed = pathClosed ? 1 : null
+        } else if(currentSweep){
+            state.sweep = currentSweep.mode
+            state.at = formatVector(currentSweep.point)
+            state.sc = currentSweep.colorStart
+        }
+        if(currentSweep && (sweepStyle.hidden || sweepStyle.custom!==null)) state.ss = formatNumbers([sweepStyle.hidden ? 1 : 0, sweepStyle.custom ?? -1])
+        return state
+    }
+
+    function restoreState(params){
+        const mode = params.get('mode')
+        if(mode) setMode(mode)
+
+        // a colour counter from the link; 0 is a valid one, so only a missing or
+        // malformed value falls back
+        const counter = (key, fallback) => {
+            const n = params.has(key) ? Number(params.get(key)) : NaN
+            return params.get(key)!=='' && Number.isFinite(n) && n>=0 ? Math.floor(n) : fallback
+        }
+
+        // the style first, so the fibers below get their colours from the right map
+        const th = Number(params.get('th'))
+        setRenderStyle({
+            fiberStyle: params.get('style')==='tubes' ? 'tubes' : 'lines',
+            tubeRadius: th>0 ? th : DEFAULT_STYLE.tubeRadius,
+            colorMap: params.get('cm')==='base' ? 'base' : 'cycle',
+            depthCue: ['fog', 'thickness'].includes(params.get('depth')) ? params.get('depth') : 'none',
+            surface: params.get('surf')==='1'
+        })
+
+        const rot = parseNumbers(params.get('rot'), ROTATION_PLANES.length)
+        if(rot) rot.forEach((deg, i) => {
+            if(rotationSliders[i]) rotationSliders[i].value = deg
+            rotation[ROTATION_PLANES[i]] = THREE.MathUtils.degToRad(deg)
+        })
+        rotationMatrix = rotationMatrix4(rotation)
+
+        const seg = Number(params.get('seg')), den = Number(params.get('den'))
+        if(seg>0){ fiberSegments = seg; if(segmentsSlider) segmentsSlider.value = seg }
+        if(den>0){ sweepDensity = den; if(densitySlider) densitySlider.value = den }
+
+        // point fibers keep their own colours
+        const style = (hidden, custom) => ({ hidden: hidden===1, custom: custom>=0 ? custom : null })
+        const pts = (params.get('pts') || '').split(';').map(v => parseNumbers(v)).filter(n => n && (n.length===4 || n.length===6))
+        pointFibers.fibers = pts.map(([x, y, z, colorIndex, hidden, custom]) => makeFiber(new THREE.Vector3(x, y, z).normalize(), colorIndex, style(hidden, custom)))
+        pointFibers.rebuild()
+        rebuildMarkers()
+        const ss = parseNumbers(params.get('ss'), 2)
+        if(ss) sweepStyle = style(ss[0], ss[1])
+
+        const path = parseVectorList(params.get('path'))
+        const at = parseVector(params.get('at'))
+        if(path.length>=2){
+            pathControls = path.map(p => new THREE.Vector3(p.x, p.y, p.z).normalize())
+            pathClosed = params.get('closed')==='1'
+            createPathHandles()
+            createSweep('path')
+        } else if(at && ['latitude', 'longitude'].includes(params.get('sweep'))){
+            fiberIndex = counter('sc', 0)
+            createSweep(params.get('sweep'), new THREE.Vector3(at.x, at.y, at.z).normalize())
+        }
+
+        fiberIndex = counter('fi', pts.length)
+        applyCameraParams(params, camera, controls)
+        setLayout(['single', 'swapped'].includes(params.get('view')) ? params.get('view') : 'split')
+        const bcam = parseVector(params.get('bcam'))
+        if(bcam) baseView.camera.position.set(bcam.x, bcam.y, bcam.z)
+        exhibit.setFrozen(params.get('frozen')==='1')
+        selectionHistory.reset(snapshot())
+        updateSelectionList()
+    }
+
+    if(linkBtn) linkBtn.addEventListener('click', async () => {
+        await copyStateLink(shareState())
+        linkBtn.textContent = 'Copied'
+        setTimeout(() => { linkBtn.textContent = 'Copy Link' }, 1200)
     })
 
-    function animate(){
-        requestAnimationFrame(animate)
-        controls.update()
-        renderer.render(scene,camera)
+    // -----------------------------
+    // Guided tour
+    // -----------------------------
+    // Steps from a JSON script (tour.json by default, see common/tour.js). Besides
+    // the shared keys a step can set "rotation": angles in degrees for the planes
+    // of the Rotate S³ sliders, the planes left out going back to 0. Mode "link"
+    // places the points as point fibers and picks the last two for the link readout.
+    function setRotation(degrees){
+        ROTATION_PLANES.forEach((plane, i) => {
+            const value = degrees[plane] || 0
+            rotation[plane] = THREE.MathUtils.degToRad(value)
+            if(rotationSliders[i]) rotationSliders[i].value = value
+        })
+        rotationMatrix = rotationMatrix4(rotation)
+        reprojectFibers()
+    }
+
+    function checkRotation(value){
+        if(!value || typeof value!=='object' || Array.isArray(value)) return `expected { ${ROTATION_PLANES.map(p => `"${p}"`).join(', ')} } in degrees`
+        const plane = Object.keys(value).find(key => !ROTATION_PLANES.includes(key))
+        if(plane) return `unknown plane "${plane}"`
+        const bad = Object.keys(value).find(key => !Number.isFinite(value[key]))
+        return bad ? `${bad}: expected degrees` : null
     }
-    animate()
+
+    function applyTourStep(step){
+        exhibit.setFrozen(false)
+        if(step.rotation) setRotation(step.rotation)
+        if(step.mode){
+            setMode(step.mode==='link' ? 'point' : step.mode)
+            if(linkToggle && linkToggle.checked!==(step.mode==='link')){
+                linkToggle.checked = step.mode==='link'
+                linkToggle.dispatchEvent(new Event('change'))
+            }
+        }
+        if(step.select){
+            if(step.clear!==false){ clearPreviousSelections(); fiberIndex = 0 }
+            stepPoints(step).forEach(p => selectAt(new THREE.Vector3(p.x, p.y, p.z)))
+            const count = pointFibers.fibers.length
+            if(step.mode==='link') [count-2, count-1].forEach(pickFiber)
+        }
+        if(step.freeze) exhibit.setFrozen(true)
+    }
+
+    const tour = createTour(infoPanel, {
+        camera, controls,
+        modes: ['point', 'longitude', 'latitude', 'link'],
+        keys: { rotation: checkRotation },
+        applyStep: applyTourStep
+    })
+    // the captions of the default tour describe the split layout
+    if(tourBtn) tourBtn.addEventListener('click', () => { setLayout('split'); tour.load('tour.json') })
+    if(tourFileBtn && tourFile) tourFileBtn.addEventListener('click', () => tourFile.click())
+    if(tourFile) tourFile.addEventListener('change', () => {
+        if(tourFile.files[0]) tour.load(tourFile.files[0])
+        tourFile.value = ''
+    })
+
+    setLayout('split')
+    selectionHistory.reset(snapshot())
+    const sharedState = readHash()
+    if(sharedState) restoreState(sharedState)
 })
\ No newline at end of file
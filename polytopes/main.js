@@ -0,0 +1,234 @@
+// =====================
+// IMPORTS
+// =====================
+// import the core Three.js library
+import * as THREE from 'three';
+// import the shared exhibit runtime (scene, controls, reset, freeze and capture)
+import { createExhibit } from '../common/exhibit.js';
+// import the 4D rotations shared with the Hopf exhibit
+import { rotationMatrix4, multiplyMatrix4, ROTATION_PLANES } from '../common/geometry.js';
+// import the polytopes, the Clifford tori and their projection to ℝ³
+import { POLYTOPES, polytope, edgeArcs, cliffordTorusLines, buildCurveBatch, projectVertices } from './polytope.js';
+
+// =====================
+// INFO TEXT
+// =====================
+// the info panel, one entry per paragraph
+const INFO = [
+  `The regular polytopes of four dimensions, drawn on the 3-sphere S³: their vertices are pushed out onto S³ and every edge becomes an arc of a great circle.`,
+  `S³ is then projected stereographically into space, as in the Hopf fibration. Edges come out as circular arcs, and the cells they bound look inflated. Colour shows the fourth coordinate: blue near the center, magenta towards the projection point, where arcs run off to infinity.`,
+  `<strong>Clifford Tori</strong> shows the torus |z₁| = cos(θ/2), |z₂| = sin(θ/2). At θ = 90° it is the Clifford torus, which splits S³ into two equal halves; <strong>Family</strong> adds its neighbours, nested around each other.`,
+  `The sliders rotate S³ in its six coordinate planes before it is projected. <strong>Spin</strong> turns it continuously in the XW and YZ planes at once.`,
+  `<strong>Reset</strong> goes back to the start.<br>
+  <strong>Freeze</strong> stops the spin and locks the controls.<br>
+  <strong>Capture</strong> saves the current view.`
+]
+
+// =====================
+// SCENE SETUP
+// =====================
+const exhibit = createExhibit('polytopes', {
+  camera: { position: [0, 2, 6] },
+  controls: { minDistance: 0.5, maxDistance: 150 },
+  info: INFO,
+  onReset: resetExhibit,
+  onFreeze: lockControls,
+  onFrame: spin
+})
+const { scene } = exhibit
+
+// =====================
+// DESIGN CONSTANTS
+// =====================
+// arcs per edge, and how many per edge for the 600 vertices of the 120-cell
+const EDGE_SEGMENTS = 32
+const EDGE_SEGMENTS_120 = 12
+// projected points farther out than this are treated as "at infinity"
+const FAR = 60
+// a torus family drawn around the chosen one, as polar angles θ
+const TORUS_FAMILY = [30, 60, 90, 120, 150].map(d => THREE.MathUtils.degToRad(d))
+// radians per second of the Spin double rotation
+const SPIN_SPEED = 0.25
+
+// =====================
+// UI ELEMENTS & STATE
+// =====================
+const objectToggles = {
+  tesseract: document.getElementById('toggle-tesseract'),
+  '16-cell': document.getElementById('toggle-16-cell'),
+  '24-cell': document.getElementById('toggle-24-cell'),
+  '120-cell': document.getElementById('toggle-120-cell'),
+  tori: document.getElementById('toggle-tori')
+}
+const toggleVertices = document.getElementById('toggle-vertices')
+const toggleFamily = document.getElementById('toggle-family')
+const toggleSpin = document.getElementById('toggle-spin')
+const torusSlider = document.getElementById('torus-theta')
+const torusGroup = document.getElementById('torus-group')
+const rotationSliders = ROTATION_PLANES.map(plane => document.getElementById(`rot-${plane}`))
+const readout = document.getElementById('object-readout')
+const uiPanel = document.querySelector('.ui-panel')
+
+// what is shown: a key of POLYTOPES, or 'tori'
+let shown = 'tesseract'
+// the slider rotation, and the extra double rotation added by Spin
+let rotation = {}
+let spinAngle = 0
+
+// =====================
+// DRAWING
+// =====================
+// One LineSegments batch for all arcs, rebuilt whenever the rotation changes;
+// the vertices of a polytope are small spheres in an InstancedMesh.
+
+const lineMaterial = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.85 })
+const lines = new THREE.LineSegments(new THREE.BufferGeometry(), lineMaterial)
+lines.frustumCulled = false
+scene.add(lines)
+
+const vertexGeometry = new THREE.SphereGeometry(0.025, 12, 12)
+const vertexMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff })
+let vertexDots = null
+
+// the arcs on S³ of what is shown, rebuilt only when that changes
+let curves = []
+
+function currentMatrix() {
+  const spin = rotationMatrix4({ xw: spinAngle, yz: spinAngle })
+  return multiplyMatrix4(spin, rotationMatrix4(rotation))
+}
+
+function buildCurves() {
+  if (shown === 'tori') {
+    const theta = THREE.MathUtils.degToRad(Number(torusSlider.value))
+    const family = toggleFamily && toggleFamily.checked ? TORUS_FAMILY.filter(t => Math.abs(t - theta) > 1e-3) : []
+    // the family is drawn sparser, so the chosen torus stands out
+    curves = [
+      ...cliffordTorusLines(theta, { rings: 32, segments: 160 }),
+      ...family.flatMap(t => cliffordTorusLines(t, { rings: 12, segments: 96 }))
+    ]
+    return
+  }
+  curves = edgeArcs(polytope(shown), shown === '120-cell' ? EDGE_SEGMENTS_120 : EDGE_SEGMENTS)
+}
+
+function rebuildVertices(matrix) {
+  if (vertexDots) {
+    scene.remove(vertexDots)
+    vertexDots.dispose()
+    vertexDots = null
+  }
+  if (shown === 'tori' || !toggleVertices || !toggleVertices.checked) return
+
+  const points = projectVertices(polytope(shown).vertices, matrix, FAR).filter(Boolean)
+  vertexDots = new THREE.InstancedMesh(vertexGeometry, vertexMaterial, points.length)
+  const m = new THREE.Matrix4()
+  points.forEach((p, i) => vertexDots.setMatrixAt(i, m.makeTranslation(p.x, p.y, p.z)))
+  scene.add(vertexDots)
+}
+
+// re-projects the arcs with the current rotation
+function reproject() {
+  const matrix = currentMatrix()
+  const batch = buildCurveBatch(curves, { matrix, far: FAR })
+  lines.geometry.dispose()
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(batch.positions, 3))
+  geometry.setAttribute('color', new THREE.BufferAttribute(batch.colors, 3))
+  geometry.setIndex(new THREE.BufferAttribute(batch.indices, 1))
+  lines.geometry = geometry
+  rebuildVertices(matrix)
+}
+
+function updateReadout() {
+  if (!readout) return
+  if (shown === 'tori') {
+    const theta = Number(torusSlider.value)
+    readout.textContent = `Clifford torus θ = ${theta}°: |z₁| = ${Math.cos(THREE.MathUtils.degToRad(theta) / 2).toFixed(3)}, |z₂| = ${Math.sin(THREE.MathUtils.degToRad(theta) / 2).toFixed(3)}`
+    return
+  }
+  const { vertices, edges } = polytope(shown)
+  readout.textContent = `${POLYTOPES[shown].name}: ${vertices.length} vertices, ${edges.length} edges, ${POLYTOPES[shown].cells}`
+}
+
+function show(name) {
+  shown = name
+  if (torusGroup) torusGroup.style.display = name === 'tori' ? 'flex' : 'none'
+  buildCurves()
+  reproject()
+  updateReadout()
+}
+
+// =====================
+// CONTROLS
+// =====================
+
+// one object at a time; unchecking the shown one leaves it on
+Object.entries(objectToggles).forEach(([name, toggle]) => {
+  if (!toggle) return
+  toggle.addEventListener('change', () => {
+    if (!toggle.checked) { toggle.checked = shown === name; return }
+    Object.values(objectToggles).forEach(other => { if (other && other !== toggle) other.checked = false })
+    show(name)
+  })
+})
+
+rotationSliders.forEach((slider, i) => {
+  if (!slider) return
+  slider.addEventListener('input', () => {
+    rotation[ROTATION_PLANES[i]] = THREE.MathUtils.degToRad(Number(slider.value))
+    reproject()
+  })
+})
+
+function readRotation() {
+  rotation = {}
+  rotationSliders.forEach((slider, i) => {
+    if (slider) rotation[ROTATION_PLANES[i]] = THREE.MathUtils.degToRad(Number(slider.value))
+  })
+}
+
+if (torusSlider) {
+  torusSlider.addEventListener('input', () => {
+    buildCurves()
+    reproject()
+    updateReadout()
+  })
+}
+if (toggleFamily) toggleFamily.addEventListener('change', () => { buildCurves(); reproject() })
+if (toggleVertices) toggleVertices.addEventListener('change', () => rebuildVertices(currentMatrix()))
+
+// Freeze holds the picture: the spin stops and the controls are locked
+function lockControls(frozen) {
+  uiPanel.querySelectorAll('input').forEach(input => { input.disabled = frozen })
+}
+
+// Reset: the tesseract and the starting rotation (the runtime moves the camera back)
+function resetExhibit() {
+  rotationSliders.forEach(slider => { if (slider) slider.value = slider.defaultValue })
+  readRotation()
+  spinAngle = 0
+  if (toggleSpin) toggleSpin.checked = false
+  if (toggleVertices) toggleVertices.checked = false
+  if (toggleFamily) toggleFamily.checked = false
+  if (torusSlider) torusSlider.value = torusSlider.defaultValue
+  Object.entries(objectToggles).forEach(([name, toggle]) => { if (toggle) toggle.checked = name === 'tesseract' })
+  show('tesseract')
+}
+
+// =====================
+// EXECUTION LOOP
+// =====================
+readRotation()
+show('tesseract')
+
+let lastTime = performance.now()
+// Spin turns S³ in the XW and YZ planes at once, so the projection keeps changing
+function spin(time) {
+  const dt = Math.min(0.1, (time - lastTime) / 1000)
+  lastTime = time
+  if (toggleSpin && toggleSpin.checked && !exhibit.frozen) {
+    spinAngle += dt * SPIN_SPEED
+    reproject()
+  }
+}
@@ -0,0 +1,184 @@
+// =====================
+// POLYTOPES & CLIFFORD TORI ON S³
+// =====================
+// The regular 4D polytopes are inscribed in S³ (vertices scaled to length 1)
+// and every straight edge is pushed out radially onto the sphere, where it
+// becomes an arc of a great circle. Those arcs, and the Clifford tori
+// |z1| = cos(θ/2), |z2| = sin(θ/2), are then projected stereographically to ℝ³
+// like the Hopf fibers. No Three.js here, so it also runs in Node.
+
+import { applyMatrix4, stereographicFromS3 } from '../common/geometry.js'
+
+const PHI = (1 + Math.sqrt(5)) / 2
+
+// ---------------------
+// Vertices and edges
+// ---------------------
+
+// all sign choices of the non-zero entries
+function signs(v) {
+  let out = [[]]
+  for (const x of v) out = out.flatMap(p => (x === 0 ? [[...p, 0]] : [[...p, x], [...p, -x]]))
+  return out
+}
+
+// permutations of 4 entries; even ones only if asked
+function permutations(v, evenOnly = false) {
+  const out = []
+  const permute = (rest, chosen, parity) => {
+    if (!rest.length) { if (!evenOnly || parity === 0) out.push(chosen); return }
+    // picking the i-th remaining element takes i transpositions
+    rest.forEach((x, i) => permute([...rest.slice(0, i), ...rest.slice(i + 1)], [...chosen, x], (parity + i) % 2))
+  }
+  permute(v, [], 0)
+  return out
+}
+
+// every signed (even) permutation of each pattern, without repeats, scaled onto S³
+function vertexSet(patterns) {
+  const seen = new Map()
+  for (const [pattern, evenOnly] of patterns) {
+    for (const p of permutations(pattern, evenOnly)) {
+      for (const [x, y, z, w] of signs(p)) {
+        const r = Math.hypot(x, y, z, w)
+        const v = { x: x / r, y: y / r, z: z / r, w: w / r }
+        seen.set([v.x, v.y, v.z, v.w].map(c => c.toFixed(6)).join(','), v)
+      }
+    }
+  }
+  return [...seen.values()]
+}
+
+const distance = (p, q) => Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z, p.w - q.w)
+
+// the edges of a regular polytope join the vertices at the smallest distance
+function nearestPairs(vertices) {
+  let min = Infinity
+  for (let i = 0; i < vertices.length; i++) {
+    for (let j = i + 1; j < vertices.length; j++) min = Math.min(min, distance(vertices[i], vertices[j]))
+  }
+  const edges = []
+  for (let i = 0; i < vertices.length; i++) {
+    for (let j = i + 1; j < vertices.length; j++) {
+      if (distance(vertices[i], vertices[j]) < min * (1 + 1e-6)) edges.push([i, j])
+    }
+  }
+  return edges
+}
+
+// vertex patterns as [coordinates, even permutations only]
+export const POLYTOPES = {
+  tesseract: { name: 'Tesseract', cells: '8 cubes', patterns: [[[1, 1, 1, 1], false]] },
+  '16-cell': { name: '16-Cell', cells: '16 tetrahedra', patterns: [[[1, 0, 0, 0], false]] },
+  '24-cell': { name: '24-Cell', cells: '24 octahedra', patterns: [[[1, 1, 0, 0], false]] },
+  '120-cell': {
+    name: '120-Cell',
+    cells: '120 dodecahedra',
+    patterns: [
+      [[0, 0, 2, 2], false],
+      [[1, 1, 1, Math.sqrt(5)], false],
+      [[PHI ** -2, PHI, PHI, PHI], false],
+      [[1 / PHI, 1 / PHI, 1 / PHI, PHI ** 2], false],
+      [[0, PHI ** -2, 1, PHI ** 2], true],
+      [[0, 1 / PHI, PHI, Math.sqrt(5)], true],
+      [[1 / PHI, 1, PHI, 2], true]
+    ]
+  }
+}
+
+const cache = new Map()
+
+// { vertices, edges } of a polytope from POLYTOPES, vertices on the unit S³
+export function polytope(key) {
+  if (!cache.has(key)) {
+    const vertices = vertexSet(POLYTOPES[key].patterns)
+    cache.set(key, { vertices, edges: nearestPairs(vertices) })
+  }
+  return cache.get(key)
+}
+
+// ---------------------
+// Curves on S³
+// ---------------------
+
+// the great-circle arc from u to v (not antipodal), segments + 1 samples
+export function greatArc(u, v, segments = 16) {
+  const cos = Math.min(1, u.x * v.x + u.y * v.y + u.z * v.z + u.w * v.w)
+  const angle = Math.acos(cos)
+  const sin = Math.sin(angle)
+  const points = []
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments
+    const a = Math.sin((1 - t) * angle) / sin, b = Math.sin(t * angle) / sin
+    points.push({ x: a * u.x + b * v.x, y: a * u.y + b * v.y, z: a * u.z + b * v.z, w: a * u.w + b * v.w })
+  }
+  return points
+}
+
+// the polytope's edges as arcs on S³
+export function edgeArcs({ vertices, edges }, segments = 16) {
+  return edges.map(([i, j]) => greatArc(vertices[i], vertices[j], segments))
+}
+
+// the point (u, v) of the Clifford torus at θ: z1 = cos(θ/2) e^{iu}, z2 = sin(θ/2) e^{iv}
+export function cliffordTorusPoint(theta, u, v) {
+  const a = Math.cos(theta / 2), b = Math.sin(theta / 2)
+  return { x: a * Math.cos(u), y: a * Math.sin(u), z: b * Math.cos(v), w: b * Math.sin(v) }
+}
+
+/**
+ * A wireframe of the Clifford torus at θ: `rings` circles of constant u and
+ * as many of constant v, each closed with segments + 1 samples.
+ */
+export function cliffordTorusLines(theta, { rings = 24, segments = 128 } = {}) {
+  const lines = []
+  for (let k = 0; k < rings; k++) {
+    const c = (k / rings) * Math.PI * 2
+    const uLine = [], vLine = []
+    for (let i = 0; i <= segments; i++) {
+      const t = (i / segments) * Math.PI * 2
+      uLine.push(cliffordTorusPoint(theta, c, t))
+      vLine.push(cliffordTorusPoint(theta, t, c))
+    }
+    lines.push(uLine, vLine)
+  }
+  return lines
+}
+
+// ---------------------
+// Projection to ℝ³
+// ---------------------
+
+/**
+ * Rotates polylines on S³ by `matrix`, projects them from the pole w = 1 and
+ * packs them for one indexed LineSegments draw. Segments with an end near the
+ * pole (beyond `far`) are dropped, so curves through it open up instead of
+ * streaking across the scene. Each vertex is coloured by its rotated w, from
+ * `near` (w = −1, close to the center) to `away` (w = 1, off to infinity).
+ */
+export function buildCurveBatch(curves, { matrix, far = 50, near = { r: 0, g: 0.8, b: 1 }, away = { r: 1, g: 0, b: 1 } }) {
+  const positions = [], colors = [], indices = []
+  let v = 0
+  for (const curve of curves) {
+    let previous = -1
+    for (const q of curve) {
+      const r = applyMatrix4(matrix, q)
+      const p = stereographicFromS3(r)
+      if (!p || Math.hypot(p.x, p.y, p.z) > far) { previous = -1; continue }
+      const t = (r.w + 1) / 2
+      positions.push(p.x, p.y, p.z)
+      colors.push(near.r + (away.r - near.r) * t, near.g + (away.g - near.g) * t, near.b + (away.b - near.b) * t)
+      if (previous >= 0) indices.push(previous, v)
+      previous = v++
+    }
+  }
+  return { positions: new Float32Array(positions), colors: new Float32Array(colors), indices: new Uint32Array(indices) }
+}
+
+// projected vertices (null where a vertex is beyond `far`)
+export function projectVertices(vertices, matrix, far = 50) {
+  return vertices.map(q => {
+    const p = stereographicFromS3(applyMatrix4(matrix, q))
+    return p && Math.hypot(p.x, p.y, p.z) <= far ? p : null
+  })
+}
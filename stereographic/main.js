@@ -4,35 +4,77 @@
 
 // import the core Three.js engine for 3D rendering
 import * as THREE from 'three';
-// import OrbitControls that allows scene naviagtion (zoom in/out, rotation)
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+// import the shared exhibit runtime (scene, controls, modes, reset, freeze and capture)
+import { createExhibit, disposeObject } from '../common/exhibit.js';
+// import the shared projection math and circle samplers
+import { stereographicProject, inverseStereographicProject, latitudeCircle, longitudeCircle, toYUp, complex, mobiusSphereMotion,
+  AZIMUTHAL_PROJECTIONS, DOWN, azimuthalProject, azimuthalLift, azimuthalScale, smallCircle, sphericalToCartesian, cartesianToSpherical,
+  circleThroughPoints, distanceToCircle, circlePoints, circleTangent, circleIntersections, lineAngle, stereographicImageOfCircle } from '../common/geometry.js';
+// import the shaders that warp images between the sphere and the plane
+import { createProjectionMaterial, createCheckerboardTexture, createGraticuleTexture, loadImageTexture, SOURCE_SPHERE, SOURCE_PLANE } from './texture-projection.js';
+// import the SVG writers used by the vector export
+import { download, svgDocument, svgPathData, svgAttributes } from '../common/export.js';
+// import the frame-by-frame recorder
+import { recordAnimation } from '../common/recorder.js';
+// import the undo/redo history and the selection list panel
+import { createHistory, bindUndoKeys } from '../common/history.js';
+import { createSelectionList } from '../common/selection-list.js';
+// import the typed-coordinate panel and its latitude/longitude sliders
+import { createPreciseInput, latitudePoint, longitudePoint } from '../common/precise-input.js';
+// import pointer coordinates and the keyboard cursor on the sphere
+import { pointerToNDC, createSphereCursor } from '../common/pointer.js';
+// import the guided tour player
+import { createTour, stepPoints } from '../common/tour.js';
+// import the label that follows the pointer with live coordinates
+import { createHoverReadout, onPointerHover, formatComplex, formatDegrees, formatPoint } from '../common/hover-readout.js';
+// import the helpers that read and write the exhibit state in the URL hash
+import { formatNumbers, parseNumbers, formatVector, parseVector, readHash, cameraParams, applyCameraParams, copyStateLink } from '../common/share.js';
+
 // =====================
-// SCENE SETUP
+// INFO TEXT
 // =====================
-// create the 3D container for all the objects 
-const scene = new THREE.Scene()
-// set the background to a near-black dark gray
-scene.background = new THREE.Color(0x050505)
+// the info panel, one entry per paragraph
+const INFO = [
+  `Click anywhere on the sphere to select a point or a circle (latitude or longitude).`,
+  `The projection shows how the curved surface of the sphere can be drawn onto a flat plane.`,
+  `The lower modes go the other way: click the plane to lift a point, or draw a line (two clicks), a circle (center, then edge) or a polygon (close it on the first vertex) and see its preimage on the sphere. Lines become circles through the North Pole.`,
+  `<strong>Precise Input</strong> places a point from typed coordinates. The Lat and Lon sliders sweep a latitude or longitude and show its projection changing as they move.`,
+  `On a touch screen, tap to select; drag to orbit and pinch to zoom. With the keyboard, Tab to the scene, move the yellow cursor with the arrow keys (Shift for larger steps) and press Enter to select.`,
+  `Hover over the sphere to read a point's coordinates and its image w = x + iy on the plane; in the inverse modes, hover over the plane to see where a point lifts to.`,
+  `<strong>3-Point Circle</strong> draws the circle through three clicked points; its image is always a circle again, or a line when the circle runs through the North Pole, and the readout gives its center and radius. <strong>Angle</strong> measures where two drawn curves cross: click one, then the other, and compare the angle on the sphere with the angle on the plane. Try both with the other maps of the Distortion panel.`,
+  `With <strong>Accumulate</strong> on, new selections are layered on the old ones. The selection list lets you hide, recolour or delete each one; Ctrl+Z undoes and Ctrl+Shift+Z redoes.`,
+  `<strong>Möbius</strong> reads the plane as the complex numbers x + iz. Pick a preset or set a, b, c, d and press Play: the sphere moves, and everything drawn on the plane follows z ↦ (az + b) / (cz + d).`,
+  `<strong>Texture</strong> shows an image on one surface and its stereographic image on the other. Load an equirectangular world map for the sphere, or any photo for the plane.`,
+  `<strong>Distortion</strong> compares azimuthal maps and projection poles. Tissot circles show how small circles stretch; the heatmap shows where areas grow (red) or shrink (blue). Lifting, Möbius and textures always use the North Pole stereographic map.`,
+  `<strong>Reset</strong> clears everything.<br>
+  <strong>Freeze</strong> keeps your current selection.<br>
+  <strong>Capture</strong> saves the current view at the chosen resolution.<br>
+  <strong>Record</strong> plays an 8 second loop and saves it as a video or PNG frames.<br>
+  <strong>Export SVG</strong> saves the plane and an outline view of the sphere as a vector drawing.<br>
+  <strong>Copy Link</strong> copies a link that reopens this exact view.<br>
+  <strong>Tour</strong> plays a guided walk through the projection; <strong>Load Tour</strong> plays your own script.`
+]
 
-// camera settings : 60° field of view, aspect ratio, near plane 0.1, far plane 2000
-const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000)
-// Position the camera in 3D space in the (x, y, z) coordinates 
-camera.position.set(4, 4, 6)
-
-// initialize the WebGL renderer
-const renderer = new THREE.WebGLRenderer({ 
-  antialias: true,            // smooth edges on geometry
-  preserveDrawingBuffer: true // required to capture the canvas for screenshots
+// =====================
+// SCENE SETUP
+// =====================
+// the runtime creates the scene, the camera (looking at the sphere from above
+// the grid), the renderer and the orbit controls, and runs the render loop
+const exhibit = createExhibit('stereographic', {
+  camera: { position: [4, 4, 6], far: 1000 },
+  modes: {
+    point: 'toggle-point', longitude: 'toggle-longitude', latitude: 'toggle-latitude',
+    lift: 'toggle-lift', line: 'toggle-line', circle: 'toggle-circle', polygon: 'toggle-polygon',
+    'three-point': 'toggle-three-point', angle: 'toggle-angle'
+  },
+  info: INFO,
+  onModeChange: modeChanged,
+  onClick: clickScene,
+  onReset: resetExhibition,
+  // advance a running Möbius motion
+  onFrame: time => updateMobiusAnimation(time)
 })
-// make the renderer full screen
-renderer.setSize(window.innerWidth, window.innerHeight)
-// add the 3D canvas to the HTML document
-document.body.appendChild(renderer.domElement)
-
-// setup camera controls for the user
-const controls = new OrbitControls(camera, renderer.domElement)
-// camera movement damping
-controls.enableDamping = true
+const { scene, camera, renderer, controls, raycaster, activeMode, setMode } = exhibit
 
 // =====================
 // GEOMETRY & GROUPS
@@ -92,250 +134,1733 @@ const PLANE_COLOR = 0x32CD32;  // neon lime: used for the projection on the grid
 // =====================
 // UI ELEMENTS & STATE
 // =====================
-// reffers to the HTML checkboxes and buttons
-const togglePoint = document.getElementById("toggle-point")
-const toggleLongitude = document.getElementById("toggle-longitude")
-const toggleLatitude = document.getElementById("toggle-latitude")
+// the mode toggles belong to the runtime; this one keeps earlier selections instead of replacing them
+const toggleAccumulate = document.getElementById("toggle-accumulate")
 
 // button Selectors 
-const resetBtn = document.getElementById("reset-btn")
-const freezeBtn = document.getElementById("freeze-btn") 
-const captureBtn = document.getElementById('capture-btn') 
+const linkBtn = document.getElementById('link-btn')
+const linkError = document.getElementById('link-error')
+const svgBtn = document.getElementById('svg-btn')
+const captureScale = document.getElementById('capture-scale')
+const recordBtn = document.getElementById('record-btn')
+const recordScript = document.getElementById('record-script')
+const recordFormat = document.getElementById('record-format')
+const recordError = document.getElementById('record-error')
+const selectionPanel = document.getElementById('selection-panel')
+const hoverElement = document.getElementById('hover-readout')
+const preciseInput = document.getElementById('precise-input')
+const cursorStatus = document.getElementById('cursor-status')
+const conformalReadout = document.getElementById('conformal-readout')
+const tourBtn = document.getElementById('tour-btn')
+const tourFileBtn = document.getElementById('tour-file-btn')
+const tourFile = document.getElementById('tour-file')
 
-const flash = document.getElementById('flash-overlay')
 const warning = document.getElementById('warning')
 
-// grab UI containers to hide them during screenshots
-const uiPanel = document.querySelector('.ui-panel')
+// the tour takes over the info panel
 const infoPanel = document.querySelector('.info-panel')
-const titleContainer = document.querySelector('.title-container')
 
-// global state to track if interaction is locked (Frozen)
-let isFrozen = false 
+// everything selected so far, in order: { id, mode, point or clicks, closed, color, visible, group };
+// each selection draws into its own group inside projectGroup
+let selections = []
+let nextSelectionId = 1
+// the line, circle or polygon still being clicked (already one of the selections)
+let pendingShape = null
+// the group drawLine and addMarker put new objects into while a selection is drawn
+let drawTarget = null
 
-// function to wipe all drawn lines and markers from the scene
+// current projection map (a key of AZIMUTHAL_PROJECTIONS) and the direction of its
+// center seen from the sphere center; straight down gives the usual North Pole projection
+let projectionName = 'stereographic'
+let projectionCenter = DOWN
+// true while waiting for a click on the sphere that sets a new projection pole
+let pickingPole = false
+
+// wipes all drawn lines and markers from the scene; the runtime has already
+// unchecked the modes, unfrozen and moved the camera back
 function resetExhibition() {
-  // Clear the 3D objects from the group
-  while(projectGroup.children.length > 0){ 
-    const object = projectGroup.children[0];
-    if(object.geometry) object.geometry.dispose();
-    if(object.material) object.material.dispose();
-    projectGroup.remove(object); 
-  }
+  // close a running tour, whose steps would draw into the scene again
+  tour.stop()
+
+  // Clear the 3D objects from the group (this also forgets any half-drawn shape)
+  clearSelections()
 
   // hide the North Pole warning if it's currently visible
   if (warning) warning.style.display = 'none'
 
-  // uncheck active toggles to show a clean state
-  if(togglePoint) togglePoint.checked = false;
-  if(toggleLongitude) toggleLongitude.checked = false;
-  if(toggleLatitude) toggleLatitude.checked = false;
-}
+  // selections replace each other again
+  if(toggleAccumulate) toggleAccumulate.checked = false;
 
-// attach clear function to the Reset button
-if(resetBtn) {
-    resetBtn.addEventListener("click", () => {
-        resetExhibition();
-        // Visual feedback for the button click
-        resetBtn.style.opacity = "1";
-        setTimeout(() => resetBtn.style.opacity = "0.6", 200);
-    });
-}
+  // put the sphere back and close the Möbius playground
+  resetMobius()
 
-// toggle the 'Freeze' state to lock the current visualization
-if (freezeBtn) {
-  freezeBtn.addEventListener("click", () => {
-    isFrozen = !isFrozen
+  // back to the plain translucent sphere and the bare grid
+  clearTexture()
+  if (textureSelect) textureSelect.value = ''
 
-    freezeBtn.textContent = isFrozen ? "Frozen" : "Freeze"
+  // back to the stereographic projection from the North Pole, no distortion layers
+  resetDistortion()
 
-    // White when frozen, dimmed when active
-    freezeBtn.style.opacity = isFrozen ? "1" : "0.6"
-    freezeBtn.style.color = isFrozen ? "#FFFFFF" : "#AAAAAA"
-  })
+  // a fresh history starts from the empty scene
+  selectionHistory.reset(snapshot())
+  updateSelectionList()
 }
 
-// capture mechanism 
-if(captureBtn) {
-  captureBtn.addEventListener('click', () => {
-    // hide UI so the image only contains rendered scene
-    if(uiPanel) uiPanel.style.visibility = 'hidden'
-    if(infoPanel) infoPanel.style.visibility = 'hidden'
-    if(titleContainer) titleContainer.style.visibility = 'hidden'
-    
-    // force the renderer to draw a frame before capture
-    renderer.render(scene, camera)
-    const dataURL = renderer.domElement.toDataURL('image/png')
-    
-    // trigger the white flash  effect (intensity 0.3, can be changed)
-    if(flash) flash.style.opacity = '0.3'
-
-    // create a virtual link to trigger the browser download
-    const link = document.createElement('a')
-    link.download = `capture-${Date.now()}.png`
-    link.href = dataURL
-    link.click()
-
-    // restore UI and hide flash after a short delay
-    setTimeout(() => {
-      if(flash) flash.style.opacity = '0'
-      if(uiPanel) uiPanel.style.visibility = 'visible'
-      if(infoPanel) infoPanel.style.visibility = 'visible'
-      if(titleContainer) titleContainer.style.visibility = 'visible'
-    }, 150)
-  })
-}
+// the modes drawn from a point on the sphere, and those drawn on the plane
+const SPHERE_MODES = ['point', 'latitude', 'longitude']
+const PLANE_MODES = ['lift', 'line', 'circle', 'polygon']
 
-// ensure only one mode checkbox is checked at a time
-const toggles = [togglePoint, toggleLongitude, toggleLatitude]
-toggles.forEach(t => {
-  if(!t) return;
-  t.addEventListener("change", () => {
-    if (t.checked) {
-      // uncheck all other options
-      toggles.forEach(other => { if (other !== t) other.checked = false })
-      // just clear the group, don't uncheck the toggle we just clicked
-      projectGroup.clear();
-      if (warning) warning.style.display = 'none';
-    }
-  })
-})
+// the runtime keeps one mode on at a time; switching starts on a clean scene,
+// unless selections are being layered or the angle between them is to be measured
+function modeChanged(mode) {
+  clearAngle()
+  if (!accumulating() && mode !== 'angle') clearSelections()
+  if (warning) warning.style.display = 'none'
+  // a half-clicked shape of the previous mode is dropped
+  dropPendingShape()
+  commitSelection()
+}
 
 // =====================
 // MATH & INTERACTION
 // =====================
 
 /**
- * funciton that calcualtes the stereographic projection of a point p on the sphere 
- * onto the flat plane at y=0 using the North Pole as the source.
+ * funciton that calcualtes the projection of a point p on the sphere onto the
+ * flat plane at y=0. By default this is the stereographic projection from the
+ * North Pole; the distortion panel can switch to another azimuthal map or pole.
+ * Returns null when the point has no image (the pole, or the far hemisphere).
  */
 function projectPoint(p) {
-  // vector pointing from North Pole through the sphere surface point
-  const direction = new THREE.Vector3().subVectors(p, northPolePos)
-  // calculate the 'time' factor where the ray hits y=0
-  const t = -northPolePos.y / direction.y
-  // return the resulting coordinate on the ground
-  return new THREE.Vector3(
-    northPolePos.x + direction.x * t,
-    0,
-    northPolePos.z + direction.z * t
-  )
+  // work on the unit sphere centered at the origin
+  const local = p.clone().sub(spherePos).divideScalar(radius)
+  const q = azimuthalProject(local, AZIMUTHAL_PROJECTIONS[projectionName], projectionCenter)
+  if (!q) return null
+  // return the resulting coordinate on the ground, under the sphere center
+  return new THREE.Vector3(spherePos.x + q.x * radius, 0, spherePos.z + q.z * radius)
+}
+
+// the point the projection is taken from: the antipode of the projection center
+function projectionPolePos() {
+  return spherePos.clone().addScaledVector(new THREE.Vector3().copy(projectionCenter), -radius)
+}
+
+// draws the image of a sphere curve, split wherever the curve has no image
+// (close to the projection pole, or outside a hemisphere-only map)
+function drawProjectedLine(pointsSphere) {
+  const pole = projectionPolePos()
+  let run = []
+  pointsSphere.forEach(sp => {
+    const proj = sp.distanceTo(pole) > 0.05 ? projectPoint(sp) : null
+    if (proj) { run.push(proj); return }
+    if (run.length > 1) drawLine(run, PLANE_COLOR)
+    run = []
+  })
+  if (run.length > 1) drawLine(run, PLANE_COLOR)
+}
+
+// converts a unit-sphere sample (z up) to a point on the scene sphere (y up)
+function toScene(p) {
+  const q = toYUp(p, spherePos, radius)
+  return new THREE.Vector3(q.x, q.y, q.z)
+}
+
+/**
+ * inverse of projectPoint: lifts a point q of the plane y=0 back onto the sphere
+ * through the current map and pole, or null where q is the image of no point
+ * (beyond the rim of the orthographic map, say).
+ */
+function liftPoint(q) {
+  const offset = { x: (q.x - spherePos.x) / radius, z: (q.z - spherePos.z) / radius }
+  const p = azimuthalLift(offset, AZIMUTHAL_PROJECTIONS[projectionName], projectionCenter)
+  return p && new THREE.Vector3(p.x, p.y, p.z).multiplyScalar(radius).add(spherePos)
+}
+
+// the lift by the stereographic map from the North Pole, whatever the panel
+// shows: the Möbius motion is built on that one
+function stereographicLift(q) {
+  const p = inverseStereographicProject(q, spherePos, radius)
+  return new THREE.Vector3(p.x, p.y, p.z)
+}
+
+// draws the preimage of a plane curve, split wherever the map has none
+function drawLiftedLine(pointsPlane) {
+  let run = []
+  pointsPlane.forEach(q => {
+    const p = liftPoint(q)
+    if (p) { run.push(p); return }
+    if (run.length > 1) drawLine(run, SPHERE_COLOR)
+    run = []
+  })
+  if (run.length > 1) drawLine(run, SPHERE_COLOR)
 }
 
 // Helper to draw a line between a set of Vector3 points
 function drawLine(points, color) {
   const geometry = new THREE.BufferGeometry().setFromPoints(points)
   const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color }))
-  projectGroup.add(line)
+  tagSide(line, color, points)
+  drawTarget.add(line)
 }
 
-// Setup for mouse interaction (Raycasting)
-const raycaster = new THREE.Raycaster()
+// remembers which surface an object belongs to (and where it rests),
+// so the Möbius motion can carry it along with the sphere or the plane
+function tagSide(object, color, planePoints) {
+  object.userData.side = color === SPHERE_COLOR ? 'sphere' : color === PLANE_COLOR ? 'plane' : 'guide'
+  object.userData.rest = { position: object.position.clone(), quaternion: object.quaternion.clone() }
+  if (object.userData.side === 'plane') object.userData.planePoints = planePoints.map(p => p.clone())
+}
+
+// pointer position in Three.js coordinates (-1 to +1 range) for hovering
 const mouse = new THREE.Vector2()
 
-window.addEventListener("click", event => {
-  // Ignore clicks if 'Freeze' state is active or if clicking on UI buttons
-  if (isFrozen) return 
-  if (event.target !== renderer.domElement) return
-  
-  // Convert mouse pixels to Three.js coordinates (-1 to +1 range)
-  mouse.x = (event.clientX / window.innerWidth) * 2 - 1
-  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1
-  raycaster.setFromCamera(mouse, camera)
+// a tap (mouse, touch or pen) on the canvas, with the raycaster aimed at it; orbit
+// drags and pinch-zooms are not taps, and the runtime ignores taps while frozen
+function clickScene() {
+  // the sphere has been moved by the Möbius playground: nothing can be projected until it is back
+  if (mobiusProgress > 0) return
+
+  // --- INVERSE MODES: the click lands on the plane, not on the sphere ---
+  if (isPlaneMode()) {
+    const q = raycaster.ray.intersectPlane(groundPlane, new THREE.Vector3())
+    if (q) handlePlaneClick(q)
+    return
+  }
 
   // Find if the mouse clicked the sphere
   const intersects = raycaster.intersectObject(sphere)
   if (intersects.length === 0) return
 
   // Get the specific 3D point on the sphere surface
-  const p = intersects[0].point
-  
-  // Stereographic projection breaks at the North Pole (projects to infinity)
-  if (p.distanceTo(northPolePos) < 0.08) {
+  const p = intersects[0].point.clone()
+
+  // the distortion panel asked for a new projection pole: this click places it
+  if (pickingPole) {
+    setProjectionPole(p)
+    return
+  }
+
+  selectOnSphere(p)
+}
+
+// the selection a latitude/longitude slider is reshaping, until it is let go
+let liveSelection = null
+
+function selectOnSphere(p, { live = false } = {}) {
+  // the circle and angle tools collect their points themselves
+  if (activeMode(['three-point'])) { addCirclePoint(p); return }
+  if (activeMode(['angle'])) { pickAngleCurve(p); return }
+
+  const mode = activeMode(SPHERE_MODES)
+  if (!mode) return
+
+  // Projection breaks at its pole (projects to infinity) and, for some maps, beyond a hemisphere
+  if (!canProjectSelection(mode, p)) {
     if (warning) warning.style.display = 'block'
     return
   } else {
     if (warning) warning.style.display = 'none'
   }
 
-  // clear previous lines to make room for the new projection
-  projectGroup.clear()
+  // a slider moves its own selection instead of adding one per step, and records no history
+  if (live && liveSelection && selections.includes(liveSelection) && liveSelection.mode === mode) {
+    liveSelection.point = p.clone()
+    drawSelection(liveSelection)
+    updateSelectionList()
+    return
+  }
+
+  // replace the previous selection to make room for the new projection, or layer on top of it
+  if (!accumulating()) clearSelections()
+  const entry = addSelection({ mode, point: p.clone() })
+  liveSelection = live ? entry : null
+  if (live) updateSelectionList()
+  else commitSelection()
+}
+
+function canProjectSelection(mode, p) {
+  if (p.distanceTo(projectionPolePos()) < 0.08) return false
+  return mode !== 'point' || projectPoint(p) !== null
+}
+
+// draws a sphere selection (point, latitude or longitude through p) and its projection
+function drawSphereSelection(mode, p) {
+  if (!canProjectSelection(mode, p)) return
 
   // --- MODE 1: SINGLE POINT ---
-  if (togglePoint && togglePoint.checked) {
+  if (mode === 'point') {
     const proj = projectPoint(p)
-    // draw a gray guide line from the pole to the ground
-    drawLine([northPolePos, proj], 0x444444) 
+    // draw a gray guide line from the pole to the ground (the projection ray);
+    // for the other maps, just join the point to its image
+    const isStereographic = projectionName === 'stereographic'
+    drawLine([isStereographic ? projectionPolePos() : p, proj], 0x444444) 
     
     // place fuchsia marker on sphere
-    const m1 = new THREE.Mesh(new THREE.SphereGeometry(0.025), new THREE.MeshBasicMaterial({color: SPHERE_COLOR}))
-    m1.position.copy(p); projectGroup.add(m1)
+    addMarker(p, SPHERE_COLOR)
     
     // place lime marker on ground
-    const m2 = new THREE.Mesh(new THREE.SphereGeometry(0.025), new THREE.MeshBasicMaterial({color: PLANE_COLOR}))
-    m2.position.copy(proj); projectGroup.add(m2)
+    addMarker(proj, PLANE_COLOR)
   }
 
   // --- MODE 2: LATITUDE (Horizontal Circle) ---
-  if (toggleLatitude && toggleLatitude.checked) {
-    const localY = p.y - spherePos.y
-    //cCalculate radius of the circle at this latitude
-    const r = Math.sqrt(Math.max(0, radius * radius - localY * localY))
-    const pointsSphere = []; const pointsPlane = []
+  if (mode === 'latitude') {
+    // height of the clicked latitude on the unit sphere
+    const localY = (p.y - spherePos.y) / radius
     
-    // generate 128 points to form the circles
-    for (let i = 0; i <= 128; i++) {
-      const angle = (i / 128) * Math.PI * 2
-      const sp = new THREE.Vector3(r * Math.cos(angle), p.y, r * Math.sin(angle))
-      pointsSphere.push(sp)
-      pointsPlane.push(projectPoint(sp))
-    }
+    // sample 128 points to form the circles
+    const pointsSphere = latitudeCircle(localY, 128).map(toScene)
     drawLine(pointsSphere, SPHERE_COLOR); // Fuchsia circle on sphere
-    drawLine(pointsPlane, PLANE_COLOR);   // Lime circle on plane
+    drawProjectedLine(pointsSphere);      // Lime circle on plane
   }
 
   // --- MODE 3: LONGITUDE (Vertical Loop) ---
-  if (toggleLongitude && toggleLongitude.checked) {
+  if (mode === 'longitude') {
     const angle = Math.atan2(p.z, p.x)
-    const pointsSphere = []; const pointsPlane = []
-    
+    // vertical circle passing through both poles
+    const pointsSphere = longitudeCircle(angle, 128).map(toScene)
+    drawLine(pointsSphere, SPHERE_COLOR)
+    // longitude circles project into straight lines on the plane (for the stereographic map);
+    // points without an image, like the projection pole itself, are left out
+    drawProjectedLine(pointsSphere)
+  }
+}
+
+// =====================
+// INVERSE PROJECTION (PLANE → SPHERE)
+// =====================
+
+// the grid plane, for raycasting clicks onto it
+const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0)
+// half-length of a drawn "infinite" line, enough to run off the 200×200 grid
+const LINE_EXTENT = 100
+
+function isPlaneMode() {
+  return Boolean(activeMode(PLANE_MODES))
+}
+
+// small sphere marker used for clicked points on the plane and their lifts
+function addMarker(position, color) {
+  const m = new THREE.Mesh(new THREE.SphereGeometry(0.025), new THREE.MeshBasicMaterial({ color }))
+  m.position.copy(position)
+  tagSide(m, color, [position])
+  drawTarget.add(m)
+}
+
+// points of the line through a and b, spread over the whole line:
+// s = tan(u) for u in (-π/2, π/2) reaches to infinity in both directions
+function infiniteLinePoints(a, b, n) {
+  const dir = new THREE.Vector3().subVectors(b, a)
+  const points = []
+  for (let i = 1; i < n; i++) {
+    const u = -Math.PI / 2 + (i / n) * Math.PI
+    points.push(a.clone().addScaledVector(dir, Math.tan(u)))
+  }
+  return points
+}
+
+function handlePlaneClick(q) {
+  const mode = activeMode(PLANE_MODES)
+
+  // --- LIFT A SINGLE POINT ---
+  if (mode === 'lift') {
+    if (!accumulating()) clearSelections()
+    addSelection({ mode, clicks: [q] })
+    commitSelection()
+    return
+  }
+
+  // a new shape starts on a clean scene, unless selections are being layered
+  if (!pendingShape) {
+    if (!accumulating()) clearSelections()
+    pendingShape = addSelection({ mode, clicks: [] })
+  }
+  const shape = pendingShape
+
+  // a polygon closes when its first vertex is clicked again
+  const closing = mode === 'polygon' && shape.clicks.length > 2 && q.distanceTo(shape.clicks[0]) < 0.15
+  shape.clicks.push(closing ? shape.clicks[0].clone() : q)
+  shape.closed = closing
+  drawSelection(shape)
+
+  // lines and circles are done after two clicks
+  if (closing || (mode !== 'polygon' && shape.clicks.length === 2)) {
+    pendingShape = null
+    commitSelection()
+  } else {
+    updateSelectionList()
+  }
+}
+
+// draws a plane selection from its clicks, together with its preimage on the sphere
+function drawPlaneShape({ mode, clicks, closed }) {
+  // --- LIFT: the same gray guide line as in point mode, from the pole down to the plane ---
+  if (mode === 'lift') {
+    const q = clicks[0], p = liftPoint(q)
+    addMarker(q, PLANE_COLOR)
+    // a point beyond the rim of a hemisphere map lifts to nothing
+    if (!p) return
+    drawLine([projectionName === 'stereographic' ? projectionPolePos() : p, q], 0x444444)
+    addMarker(p, SPHERE_COLOR)
+    return
+  }
+
+  // a closed polygon repeats its first vertex at the end
+  const vertices = closed ? clicks.slice(0, -1) : clicks
+  vertices.forEach(q => addMarker(q, PLANE_COLOR))
+
+  // --- LINE: two clicks fix a straight line; its stereographic preimage is a circle through the pole ---
+  if (mode === 'line' && clicks.length === 2) {
+    const [a, b] = clicks
+    const dir = new THREE.Vector3().subVectors(b, a).normalize()
+    drawLine([a.clone().addScaledVector(dir, -LINE_EXTENT), a.clone().addScaledVector(dir, LINE_EXTENT)], PLANE_COLOR)
+    const linePoints = infiniteLinePoints(a, b, 256)
+    if (projectionName === 'stereographic') {
+      // both ends of the line go to the projection pole, which closes the circle
+      const pole = projectionPolePos()
+      drawLine([pole, ...linePoints.map(liftPoint), pole], SPHERE_COLOR)
+    } else {
+      drawLiftedLine(linePoints)
+    }
+  }
+
+  // --- CIRCLE: first click is the center, second a point on it ---
+  if (mode === 'circle' && clicks.length === 2) {
+    const [c, edge] = clicks
+    const r = c.distanceTo(edge)
+    const pointsPlane = []
     for (let i = 0; i <= 128; i++) {
-      const phi = (i / 128) * Math.PI * 2
-      // votate points into a vertical circle passing through the poles
-      const sp = new THREE.Vector3(
-        radius * Math.cos(phi) * Math.cos(angle), 
-        radius * Math.sin(phi) + spherePos.y, 
-        radius * Math.cos(phi) * Math.sin(angle)
-      )
-      pointsSphere.push(sp)
-      // project the point only if it isn't the North Pole itself
-      if (sp.distanceTo(northPolePos) > 0.05) {
-        pointsPlane.push(projectPoint(sp))
-      }
+      const angle = (i / 128) * Math.PI * 2
+      pointsPlane.push(new THREE.Vector3(c.x + r * Math.cos(angle), 0, c.z + r * Math.sin(angle)))
     }
-    drawLine(pointsSphere, SPHERE_COLOR)
-    // longitude circles project into straight lines on the plane
-    if (pointsPlane.length > 1) drawLine(pointsPlane, PLANE_COLOR)
+    drawLine(pointsPlane, PLANE_COLOR)
+    drawLiftedLine(pointsPlane)
+  }
+
+  // --- POLYGON: each edge drawn on the plane and lifted, densely sampled ---
+  if (mode === 'polygon') {
+    for (let k = 1; k < clicks.length; k++) {
+      const a = clicks[k - 1], b = clicks[k]
+      const edge = []
+      for (let i = 0; i <= 32; i++) edge.push(new THREE.Vector3().lerpVectors(a, b, i / 32))
+      drawLine(edge, PLANE_COLOR)
+      drawLiftedLine(edge)
+    }
+  }
+}
+
+// =====================
+// CIRCLES & ANGLES
+// =====================
+// The two properties that set the stereographic map apart. 3-Point Circle:
+// three clicks on the sphere fix a circle, and its image is again a circle, or
+// a line when the circle runs through the projection pole; the readout gives
+// it as computed by stereographicImageOfCircle, on top of the drawn image.
+// Angle: two drawn curves are clicked, and the angle where they cross on the
+// sphere is compared with the angle between their images, measured through
+// projectPoint so the other maps of the distortion panel can be compared too.
+
+// how far (on the unit sphere) from a curve a click still picks it
+const PICK_DISTANCE = 0.06
+// the small step along a tangent whose image gives the direction on the plane
+const ANGLE_STEP = 1e-4
+// half-length of the drawn tangent lines
+const TANGENT_LENGTH = 0.35
+const ANGLE_COLOR = 0xffffff
+
+// the picked curves, at most two: { entry, circle, tap } with the click on the unit sphere
+let anglePicks = []
+// the last measurement: { sphere, plane } in radians (plane null without an image),
+// or { apart: true } for curves that don't cross
+let angleResult = null
+
+// the picked curves and the tangents at the crossing, kept apart from the selections
+const angleGroup = new THREE.Group()
+scene.add(angleGroup)
+
+// a point of the scene sphere on the unit sphere (y up), and back
+const toLocal = p => p.clone().sub(spherePos).divideScalar(radius)
+const fromLocal = q => new THREE.Vector3(q.x, q.y, q.z).multiplyScalar(radius).add(spherePos)
+
+// a sphere click in 3-Point Circle mode; the circle is done after the third
+function addCirclePoint(p) {
+  // a new circle starts on a clean scene, unless selections are being layered
+  if (!pendingShape) {
+    if (!accumulating()) clearSelections()
+    pendingShape = addSelection({ mode: 'three-point', clicks: [] })
+  }
+  const shape = pendingShape
+  shape.clicks.push(p.clone())
+  drawSelection(shape)
+
+  if (shape.clicks.length === 3) {
+    pendingShape = null
+    commitSelection()
+  } else {
+    updateSelectionList()
+  }
+}
+
+// the clicked points, and once there are three their circle and its image
+function drawThreePointCircle(clicks) {
+  clicks.forEach(p => addMarker(p, SPHERE_COLOR))
+  const circle = clicks.length === 3 && circleThroughPoints(...clicks.map(toLocal))
+  if (!circle) return
+  const pointsSphere = circlePoints(circle).map(fromLocal)
+  drawLine(pointsSphere, SPHERE_COLOR)
+  drawProjectedLine(pointsSphere)
+}
+
+function describeThreePoint({ clicks }) {
+  if (clicks.length < 3) return `${clicks.length} of 3 points`
+  const circle = circleThroughPoints(...clicks.map(toLocal))
+  return circle ? `angular radius ${formatDegrees(Math.acos(circle.offset))}` : 'points coincide'
+}
+
+// the circle on the unit sphere a selection draws, or null for points and polygons
+function selectionCircle({ mode, point, clicks }) {
+  if (mode === 'latitude') {
+    const y = toLocal(point).y
+    return { axis: { x: 0, y: y < 0 ? -1 : 1, z: 0 }, offset: Math.abs(y) }
+  }
+  if (mode === 'longitude') {
+    const angle = Math.atan2(point.z, point.x)
+    return { axis: { x: -Math.sin(angle), y: 0, z: Math.cos(angle) }, offset: 0 }
+  }
+  if (mode === 'three-point' && clicks.length === 3) return circleThroughPoints(...clicks.map(toLocal))
+  // plane lines and circles lift to circles only through the stereographic map
+  if (PLANE_MODES.includes(mode) && projectionName !== 'stereographic') return null
+  // a plane line lifts to the circle through the projection pole and the lifts of its points
+  if (mode === 'line' && clicks.length === 2) {
+    return circleThroughPoints(toLocal(projectionPolePos()), ...clicks.map(q => toLocal(liftPoint(q))))
+  }
+  if (mode === 'circle' && clicks.length === 2) {
+    const [c, edge] = clicks
+    const r = c.distanceTo(edge)
+    const onCircle = [[r, 0], [0, r], [-r, 0]].map(([dx, dz]) => new THREE.Vector3(c.x + dx, 0, c.z + dz))
+    return circleThroughPoints(...onCircle.map(q => toLocal(liftPoint(q))))
+  }
+  return null
+}
+
+// a sphere click in Angle mode picks the nearest visible curve under it
+function pickAngleCurve(p) {
+  const tap = toLocal(p)
+  // a third pick starts a new measurement
+  if (anglePicks.length === 2) anglePicks = []
+
+  let best = null
+  selections.forEach(entry => {
+    if (!entry.visible || anglePicks.some(pick => pick.entry === entry)) return
+    const circle = selectionCircle(entry)
+    const distance = circle && distanceToCircle(circle, tap)
+    if (circle && distance < PICK_DISTANCE && (!best || distance < best.distance)) best = { entry, circle, distance }
+  })
+  if (best) anglePicks.push({ entry: best.entry, circle: best.circle, tap })
+  drawAngle()
+  updateConformalReadout()
+}
+
+function clearAngle() {
+  anglePicks = []
+  drawAngle()
+}
+
+// (re)draws the picked curves and, for two of them, measures their angle
+function drawAngle() {
+  disposeObject(angleGroup)
+  angleResult = null
+  drawTarget = angleGroup
+  anglePicks.forEach(({ circle }) => drawLine(circlePoints(circle).map(fromLocal), ANGLE_COLOR))
+  if (anglePicks.length === 2) measureAngle()
+  drawTarget = null
+}
+
+function measureAngle() {
+  const [first, second] = anglePicks
+  const crossings = circleIntersections(first.circle, second.circle).map(c => new THREE.Vector3(c.x, c.y, c.z))
+  if (!crossings.length) { angleResult = { apart: true }; return }
+
+  // of two crossings, the one nearer the last click
+  const x = crossings.sort((a, b) => a.distanceTo(second.tap) - b.distanceTo(second.tap))[0]
+  const tangents = anglePicks.map(({ circle }) => circleTangent(circle, x))
+  const at = fromLocal(x)
+  addMarker(at, ANGLE_COLOR)
+  tangents.forEach(t => drawLine([at.clone().addScaledVector(t, -TANGENT_LENGTH), at.clone().addScaledVector(t, TANGENT_LENGTH)], ANGLE_COLOR))
+  angleResult = { sphere: lineAngle(...tangents), plane: null }
+
+  // the image directions: between the images of small steps either way along each tangent
+  const image = projectPoint(at)
+  if (!image) return
+  const directions = tangents.map(t => {
+    const [back, ahead] = [-ANGLE_STEP, ANGLE_STEP].map(h => projectPoint(fromLocal(x.clone().addScaledVector(t, h).normalize())))
+    return back && ahead && ahead.sub(back).normalize()
+  })
+  if (directions.some(d => !d)) return
+  angleResult.plane = lineAngle(...directions)
+  addMarker(image, ANGLE_COLOR)
+  directions.forEach(d => drawLine([image.clone().addScaledVector(d, -TANGENT_LENGTH), image.clone().addScaledVector(d, TANGENT_LENGTH)], ANGLE_COLOR))
+}
+
+// what the readout says about the circle being clicked, the last 3-point circle or the angle
+function conformalText() {
+  if (activeMode(['angle'])) {
+    if (anglePicks.length < 2) return `Click ${anglePicks.length ? 'a second' : 'a'} curve on the sphere`
+    if (angleResult.apart) return 'These curves do not cross'
+    const plane = angleResult.plane === null ? 'no image' : formatDegrees(angleResult.plane)
+    return `Angle on the sphere ${formatDegrees(angleResult.sphere)}  |  on the plane ${plane}`
+  }
+
+  if (pendingShape && pendingShape.mode === 'three-point') return `Click ${3 - pendingShape.clicks.length} more point${pendingShape.clicks.length === 2 ? '' : 's'} on the sphere`
+  const last = selections.filter(entry => entry.mode === 'three-point').pop()
+  const circle = last && last.clicks.length === 3 && circleThroughPoints(...last.clicks.map(toLocal))
+  if (!circle) return activeMode(['three-point']) ? 'Click three points on the sphere' : ''
+  if (projectionName !== 'stereographic') return 'Only the stereographic map keeps every circle a circle: this image is in general none'
+
+  const image = stereographicImageOfCircle(circle, projectionCenter)
+  if (!image) return ''
+  if (image.line) return 'Image: a straight line, as the circle runs through the projection pole'
+  return `Image: circle with center w = ${formatComplex(image.center.x, image.center.z)} and radius ${image.radius.toFixed(3)}`
+}
+
+function updateConformalReadout() {
+  if (!conformalReadout) return
+  conformalReadout.textContent = conformalText()
+  conformalReadout.style.display = conformalReadout.textContent ? 'block' : 'none'
+}
+
+// =====================
+// SELECTIONS & HISTORY
+// =====================
+// Each click makes a selection with its own group of objects. Without
+// "accumulate" a new selection replaces the old ones; with it they pile up so
+// several projections can be compared. Snapshots for undo/redo are plain data
+// (mode, points, colour, visibility) and are redrawn from scratch.
+
+const selectionHistory = createHistory()
+
+function accumulating() {
+  return Boolean(toggleAccumulate && toggleAccumulate.checked)
+}
+
+function disposeSelection(entry) {
+  disposeObject(entry.group)
+  projectGroup.remove(entry.group)
+}
+
+function clearSelections() {
+  selections.forEach(disposeSelection)
+  selections = []
+  pendingShape = null
+  clearAngle()
+}
+
+function dropPendingShape() {
+  if (!pendingShape) return
+  disposeSelection(pendingShape)
+  selections = selections.filter(entry => entry !== pendingShape)
+  pendingShape = null
+}
+
+function addSelection(data) {
+  const entry = { id: nextSelectionId++, closed: false, color: null, visible: true, ...data, group: new THREE.Group() }
+  projectGroup.add(entry.group)
+  selections.push(entry)
+  drawSelection(entry)
+  return entry
+}
+
+// (re)draws one selection into its group with the current projection
+function drawSelection(entry) {
+  disposeObject(entry.group)
+
+  drawTarget = entry.group
+  if (SPHERE_MODES.includes(entry.mode)) drawSphereSelection(entry.mode, entry.point)
+  else if (entry.mode === 'three-point') drawThreePointCircle(entry.clicks)
+  else drawPlaneShape(entry)
+  drawTarget = null
+
+  entry.group.visible = entry.visible
+  // a custom colour paints both the sphere curve and its image; guide lines stay gray
+  if (entry.color !== null) {
+    entry.group.children.forEach(object => { if (object.userData.side !== 'guide') object.material.color.setHex(entry.color) })
+  }
+  // new objects join the sphere wherever the Möbius motion has taken it
+  if (mobiusProgress > 0) applyMobiusPose(mobiusProgress)
+}
+
+function snapshot() {
+  const vec = p => ({ x: p.x, y: p.y, z: p.z })
+  return selections.filter(entry => entry !== pendingShape).map(entry => ({
+    mode: entry.mode,
+    point: entry.point ? vec(entry.point) : null,
+    clicks: entry.clicks ? entry.clicks.map(vec) : null,
+    closed: entry.closed,
+    color: entry.color,
+    visible: entry.visible
+  }))
+}
+
+function applySnapshot(snap) {
+  clearSelections()
+  const vec = p => new THREE.Vector3(p.x, p.y, p.z)
+  snap.forEach(data => addSelection({
+    ...data,
+    point: data.point ? vec(data.point) : undefined,
+    clicks: data.clicks ? data.clicks.map(vec) : undefined
+  }))
+  updateSelectionList()
+}
+
+function commitSelection() {
+  selectionHistory.push(snapshot())
+  updateSelectionList()
+}
+
+function undo() {
+  if (exhibit.frozen) return
+  const snap = selectionHistory.undo()
+  if (snap) applySnapshot(snap)
+}
+
+function redo() {
+  if (exhibit.frozen) return
+  const snap = selectionHistory.redo()
+  if (snap) applySnapshot(snap)
+}
+
+const fmt2 = n => n.toFixed(2)
+
+// what the list shows next to the mode: the base point on the unit sphere, or the plane clicks
+function describeSelection(entry) {
+  if (entry.point) {
+    const p = entry.point.clone().sub(spherePos).divideScalar(radius)
+    return `(${fmt2(p.x)}, ${fmt2(p.y)}, ${fmt2(p.z)})`
+  }
+  const [a, b] = entry.clicks
+  const at = q => `(${fmt2(q.x)}, ${fmt2(q.z)})`
+  if (entry.mode === 'three-point') return describeThreePoint(entry)
+  if (entry.mode === 'lift') return at(a)
+  if (entry.mode === 'line') return b ? `${at(a)} → ${at(b)}` : `${at(a)} → …`
+  if (entry.mode === 'circle') return b ? `center ${at(a)}, r ${fmt2(a.distanceTo(b))}` : `center ${at(a)}`
+  return `${entry.closed ? entry.clicks.length - 1 : entry.clicks.length} vertices${entry.closed ? '' : ' (open)'}`
+}
+
+const selectionList = selectionPanel && createSelectionList(selectionPanel, {
+  onToggle(id) {
+    const entry = selections.find(e => e.id === id)
+    if (!entry || exhibit.frozen) return
+    entry.visible = !entry.visible
+    entry.group.visible = entry.visible
+    commitSelection()
+  },
+  onRecolor(id, hex) {
+    const entry = selections.find(e => e.id === id)
+    if (!entry || exhibit.frozen) return
+    entry.color = parseInt(hex.slice(1), 16)
+    drawSelection(entry)
+    commitSelection()
+  },
+  onDelete(id) {
+    const entry = selections.find(e => e.id === id)
+    if (!entry || exhibit.frozen) return
+    if (entry === pendingShape) pendingShape = null
+    if (anglePicks.some(pick => pick.entry === entry)) clearAngle()
+    disposeSelection(entry)
+    selections = selections.filter(e => e !== entry)
+    commitSelection()
+  },
+  onUndo: undo,
+  onRedo: redo
+})
+
+function updateSelectionList() {
+  updateConformalReadout()
+  if (!selectionList) return
+  const entries = selections.map(entry => ({
+    id: entry.id,
+    mode: entry.mode[0].toUpperCase() + entry.mode.slice(1),
+    detail: describeSelection(entry),
+    color: `#${(entry.color ?? SPHERE_COLOR).toString(16).padStart(6, '0')}`,
+    visible: entry.visible
+  }))
+  selectionList.render(entries, { canUndo: selectionHistory.canUndo, canRedo: selectionHistory.canRedo })
+}
+
+bindUndoKeys(undo, redo)
+
+// =====================
+// MÖBIUS TRANSFORMATIONS
+// =====================
+// The plane is read as the complex plane (x + iz). Every Möbius transformation
+// z ↦ (az + b) / (cz + d) is a rigid motion of the sphere followed by projection
+// from its new top point (Arnold & Rogness), so the playground animates that
+// motion and re-projects everything drawn in projectGroup along the way.
+
+const toggleMobius = document.getElementById("toggle-mobius")
+const mobiusPanel = document.getElementById("mobius-panel")
+const mobiusFormula = document.getElementById("mobius-formula")
+const playBtn = document.getElementById("mobius-play-btn")
+const restoreBtn = document.getElementById("mobius-restore-btn")
+
+// one slider per real/imaginary part of each coefficient, e.g. "mobius-a-re"
+const COEFFICIENTS = ['a', 'b', 'c', 'd']
+const mobiusSliders = {}
+COEFFICIENTS.forEach(k => ['re', 'im'].forEach(part => {
+  mobiusSliders[`${k}-${part}`] = document.getElementById(`mobius-${k}-${part}`)
+}))
+
+// the transformations we teach, as [re, im] pairs for a, b, c, d
+const MOBIUS_PRESETS = {
+  rotation:    { a: [Math.cos(Math.PI / 3), Math.sin(Math.PI / 3)], b: [0, 0], c: [0, 0], d: [1, 0] }, // z ↦ e^{iπ/3} z
+  translation: { a: [1, 0], b: [1.5, 1], c: [0, 0], d: [1, 0] },                                      // z ↦ z + 1.5 + i
+  dilation:    { a: [2, 0], b: [0, 0], c: [0, 0], d: [1, 0] },                                        // z ↦ 2z
+  inversion:   { a: [0, 0], b: [1, 0], c: [1, 0], d: [0, 0] }                                         // z ↦ 1/z
+}
+
+// where the sphere normally rests
+const restCenter = spherePos.clone()
+// images too far out to draw are treated as "at infinity" (the camera far plane is 1000)
+const MOBIUS_LIMIT = 500
+
+let mobiusMotion = null   // target: { center, quaternion } of the moved sphere
+let mobiusProgress = 0    // 0 = sphere at rest, 1 = fully moved
+let mobiusAnimation = null
+
+function readCoefficients() {
+  const m = {}
+  COEFFICIENTS.forEach(k => {
+    const re = mobiusSliders[`${k}-re`], im = mobiusSliders[`${k}-im`]
+    m[k] = complex(re ? Number(re.value) : 0, im ? Number(im.value) : 0)
+  })
+  return m
+}
+
+// turns the slider values into a target pose for the sphere, or shows why it can't
+function updateMobiusMotion() {
+  const m = readCoefficients()
+  const show = z => `(${z.re.toFixed(2)} ${z.im < 0 ? '−' : '+'} ${Math.abs(z.im).toFixed(2)}i)`
+  try {
+    const motion = mobiusSphereMotion(m)
+    const R = motion.rotation
+    const basis = new THREE.Matrix4().set(
+      R[0], R[1], R[2], 0,
+      R[3], R[4], R[5], 0,
+      R[6], R[7], R[8], 0,
+      0, 0, 0, 1
+    )
+    mobiusMotion = {
+      center: new THREE.Vector3(motion.translation.re, motion.height - 1, motion.translation.im),
+      quaternion: new THREE.Quaternion().setFromRotationMatrix(basis)
+    }
+    if (mobiusFormula) mobiusFormula.textContent = `T(z) = (${show(m.a)} z + ${show(m.b)}) / (${show(m.c)} z + ${show(m.d)})`
+  } catch (err) {
+    mobiusMotion = null
+    if (mobiusFormula) mobiusFormula.textContent = err.message
+  }
+}
+
+// image of a plane point after the sphere has been moved to (center, quaternion)
+function movedImage(q, center, quaternion) {
+  const lifted = stereographicLift(q).sub(restCenter).applyQuaternion(quaternion).add(center)
+  const pole = center.clone().add(new THREE.Vector3(0, radius, 0))
+  const proj = stereographicProject(lifted, pole, 0)
+  if (!proj || Math.hypot(proj.x, proj.z) > MOBIUS_LIMIT) return null
+  return new THREE.Vector3(proj.x, 0, proj.z)
+}
+
+// places the sphere and everything drawn at a point s ∈ [0, 1] of the motion
+function applyMobiusPose(s) {
+  mobiusProgress = s
+  const target = mobiusMotion || { center: restCenter, quaternion: new THREE.Quaternion() }
+  const center = restCenter.clone().lerp(target.center, s)
+  const quaternion = new THREE.Quaternion().slerp(target.quaternion, s)
+
+  sphere.position.copy(center)
+  sphere.quaternion.copy(quaternion)
+  northPoleMarker.position.copy(center).add(new THREE.Vector3(0, radius, 0))
+  // measured angles belong to the resting sphere
+  angleGroup.visible = s === 0
+
+  projectGroup.children.forEach(group => group.children.forEach(object => {
+    const { side, rest, planePoints } = object.userData
+    if (object.userData.isImage) return
+
+    // sphere curves and markers ride along with the sphere
+    if (side === 'sphere') {
+      object.quaternion.copy(quaternion).multiply(rest.quaternion)
+      object.position.copy(rest.position).sub(restCenter).applyQuaternion(quaternion).add(center)
+    }
+
+    // pole-to-plane guide lines only make sense for the resting sphere
+    if (side === 'guide') object.visible = s === 0
+
+    if (side === 'plane' && object.isMesh) {
+      const image = movedImage(planePoints[0], center, quaternion)
+      object.visible = image !== null
+      if (image) object.position.copy(image)
+    }
+
+    if (side === 'plane' && object.isLine) updateLineImage(object, center, quaternion, s)
+  }))
+}
+
+// a plane curve is drawn through a companion LineSegments with a fixed-size buffer:
+// segments touching the point at infinity collapse to zero length instead of
+// being drawn across the whole grid
+function updateLineImage(line, center, quaternion, s) {
+  const points = line.userData.planePoints
+  let image = line.userData.image
+  if (!image) {
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((points.length - 1) * 6), 3))
+    image = new THREE.LineSegments(geometry, line.material)
+    image.userData.isImage = true
+    line.userData.image = image
+    line.parent.add(image)
+  }
+
+  line.visible = s === 0
+  image.visible = s > 0
+  if (s === 0) return
+
+  const mapped = points.map(q => movedImage(q, center, quaternion))
+  const position = image.geometry.attributes.position
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = mapped[i], b = mapped[i + 1]
+    const ok = a && b
+    position.setXYZ(2 * i, ok ? a.x : 0, 0, ok ? a.z : 0)
+    position.setXYZ(2 * i + 1, ok ? b.x : 0, 0, ok ? b.z : 0)
   }
+  position.needsUpdate = true
+  image.geometry.computeBoundingSphere()
+}
+
+// smooth animation of the motion between two progress values
+function animateMobius(to, duration = 2500) {
+  mobiusAnimation = { from: mobiusProgress, to, start: performance.now(), duration }
+}
+
+function updateMobiusAnimation(time) {
+  if (!mobiusAnimation) return
+  const { from, to, start, duration } = mobiusAnimation
+  const k = Math.min(1, (time - start) / duration)
+  // smoothstep easing
+  const eased = k * k * (3 - 2 * k)
+  applyMobiusPose(from + (to - from) * eased)
+  if (k === 1) mobiusAnimation = null
+}
+
+function resetMobius() {
+  mobiusAnimation = null
+  applyMobiusPose(0)
+  if (toggleMobius) toggleMobius.checked = false
+  if (mobiusPanel) mobiusPanel.style.display = 'none'
+}
+
+if (toggleMobius) {
+  toggleMobius.addEventListener("change", () => {
+    if (mobiusPanel) mobiusPanel.style.display = toggleMobius.checked ? 'block' : 'none'
+    updateMobiusMotion()
+    // closing the playground puts the sphere back
+    if (!toggleMobius.checked) animateMobius(0, 1000)
+  })
+}
+
+// dragging a coefficient updates the picture live once the sphere has moved
+Object.values(mobiusSliders).forEach(slider => {
+  if (!slider) return
+  slider.addEventListener("input", () => {
+    updateMobiusMotion()
+    if (mobiusProgress > 0 && !mobiusAnimation) applyMobiusPose(mobiusProgress)
+  })
+})
+
+document.querySelectorAll("[data-mobius-preset]").forEach(btn => {
+  btn.addEventListener("click", () => {
+    const preset = MOBIUS_PRESETS[btn.dataset.mobiusPreset]
+    COEFFICIENTS.forEach(k => {
+      mobiusSliders[`${k}-re`].value = preset[k][0]
+      mobiusSliders[`${k}-im`].value = preset[k][1]
+    })
+    // start from the resting sphere so the whole motion plays
+    applyMobiusPose(0)
+    updateMobiusMotion()
+    if (mobiusMotion) animateMobius(1)
+  })
 })
 
+if (playBtn) playBtn.addEventListener("click", () => { if (mobiusMotion) animateMobius(1) })
+if (restoreBtn) restoreBtn.addEventListener("click", () => animateMobius(0))
+
+// =====================
+// TEXTURE PROJECTION
+// =====================
+// An image shown on one surface and warped through the projection onto the other:
+// a map of the sphere spreads out over the plane (blowing up near the North Pole),
+// an image on the plane wraps around the sphere (squeezing infinity into the pole).
+
+const textureSelect = document.getElementById("texture-select")
+const textureTarget = document.getElementById("texture-target")
+const textureFile = document.getElementById("texture-file")
+const textureFileBtn = document.getElementById("texture-file-btn")
+const textureError = document.getElementById("texture-error")
+
+// side of the square covered by a single (non-tiled) plane image
+const PLANE_IMAGE_SIZE = 4
+
+// a flat mesh just under the grid, only visible while a texture is shown
+const textureSurface = new THREE.Mesh(new THREE.PlaneGeometry(200, 200), new THREE.MeshBasicMaterial())
+textureSurface.rotation.x = -Math.PI / 2
+textureSurface.position.y = -0.002
+textureSurface.visible = false
+scene.add(textureSurface)
+
+// the built-in samples, created on first use
+const SAMPLE_TEXTURES = {
+  graticule:    { source: SOURCE_SPHERE, create: () => Promise.resolve(createGraticuleTexture()) },
+  checkerboard: { source: SOURCE_PLANE, repeat: true, create: () => Promise.resolve(createCheckerboardTexture()) },
+  photo:        { source: SOURCE_PLANE, create: () => loadImageTexture('../page1.jpg') }
+}
+
+let activeTexture = null
+
+function clearTexture() {
+  if (activeTexture) {
+    sphere.material.dispose()
+    textureSurface.material.dispose()
+    // the built-in samples are kept for the next time they are picked
+    if (activeTexture.ownsTexture) activeTexture.texture.dispose()
+    activeTexture = null
+  }
+  sphere.material = sphereMaterial
+  textureSurface.visible = false
+}
+
+function showTexture(texture, { source, repeat = false, ownsTexture = false }) {
+  clearTexture()
+  const options = { source, planeSize: PLANE_IMAGE_SIZE, repeat }
+  sphere.material = createProjectionMaterial(texture, { ...options, onSphere: true, opacity: 0.95 })
+  textureSurface.material = createProjectionMaterial(texture, { ...options, onSphere: false })
+  textureSurface.visible = true
+  activeTexture = { texture, ownsTexture }
+}
+
+const sampleCache = {}
+
+if (textureSelect) {
+  textureSelect.addEventListener("change", async () => {
+    const name = textureSelect.value
+    const sample = SAMPLE_TEXTURES[name]
+    if (textureError) textureError.textContent = ''
+    if (!sample) { clearTexture(); return }
+    try {
+      sampleCache[name] ??= await sample.create()
+      showTexture(sampleCache[name], sample)
+    } catch (err) {
+      // back to no texture, so the panel matches what is drawn
+      clearTexture()
+      textureSelect.value = ''
+      if (textureError) textureError.textContent = err.message
+    }
+  })
+}
+
+// a local image: an equirectangular map goes on the sphere, anything else on the plane
+// a real button opens the file picker, so the keyboard can reach it too
+if (textureFile && textureFileBtn) textureFileBtn.addEventListener("click", () => textureFile.click())
+
+if (textureFile) {
+  textureFile.addEventListener("change", async () => {
+    const file = textureFile.files[0]
+    if (!file) return
+    const url = URL.createObjectURL(file)
+    if (textureError) textureError.textContent = ''
+    try {
+      const texture = await loadImageTexture(url)
+      const source = textureTarget && textureTarget.value === 'sphere' ? SOURCE_SPHERE : SOURCE_PLANE
+      showTexture(texture, { source, ownsTexture: true })
+      if (textureSelect) textureSelect.value = ''
+    } catch {
+      // the object URL in the loader's message means nothing to the user
+      if (textureError) textureError.textContent = `Could not load ${file.name} as an image`
+    } finally {
+      URL.revokeObjectURL(url)
+      // allow picking the same file again
+      textureFile.value = ''
+    }
+  })
+}
+
+// =====================
+// DISTORTION ANALYSIS
+// =====================
+// Tissot indicatrices (small equal circles on the sphere and their images) and
+// a heatmap of the area scale factor, for the projection picked in the panel.
+
+const projectionSelect = document.getElementById("projection-select")
+const poleSelect = document.getElementById("pole-select")
+const toggleTissot = document.getElementById("toggle-tissot")
+const toggleHeatmap = document.getElementById("toggle-heatmap")
+
+// the poles offered in the panel, as directions from the sphere center
+const POLES = {
+  north: { x: 0, y: 1, z: 0 },
+  south: { x: 0, y: -1, z: 0 },
+  east:  { x: 1, y: 0, z: 0 },
+  west:  { x: -1, y: 0, z: 0 }
+}
+
+// angular radius of the indicatrices on the sphere
+const TISSOT_RADIUS = 0.08
+// latitudes (degrees) and longitude step of the indicatrix grid
+const TISSOT_LATITUDES = [-60, -30, 0, 30, 60]
+const TISSOT_LONGITUDE_STEP = 30
+
+// kept apart from projectGroup so new selections don't wipe it
+const distortionGroup = new THREE.Group()
+scene.add(distortionGroup)
+
+function clearDistortionGroup() {
+  distortionGroup.children.forEach(object => {
+    if (object.geometry) object.geometry.dispose()
+    if (object.material) {
+      if (object.material.map) object.material.map.dispose()
+      object.material.dispose()
+    }
+  })
+  distortionGroup.clear()
+}
+
+function addDistortionLine(points, color) {
+  const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color }))
+  distortionGroup.add(line)
+}
+
+function drawTissot() {
+  const pole = projectionPolePos()
+  const grid = [{ x: 0, y: 0, z: 1 }, { x: 0, y: 0, z: -1 }]
+  TISSOT_LATITUDES.forEach(lat => {
+    for (let lon = 0; lon < 360; lon += TISSOT_LONGITUDE_STEP) {
+      grid.push(sphericalToCartesian(THREE.MathUtils.degToRad(90 - lat), THREE.MathUtils.degToRad(lon)))
+    }
+  })
+
+  grid.forEach(n => {
+    // same z-up → y-up convention as the latitude and longitude samplers
+    const circle = smallCircle({ x: n.x, y: n.z, z: n.y }, TISSOT_RADIUS, 32)
+      .map(c => new THREE.Vector3(c.x, c.y, c.z).multiplyScalar(radius).add(spherePos))
+    addDistortionLine(circle, SPHERE_COLOR)
+    // an indicatrix touching the pole or the edge of the map has no complete image
+    const images = circle.map(c => (c.distanceTo(pole) > 0.05 ? projectPoint(c) : null))
+    if (images.every(Boolean)) addDistortionLine(images, PLANE_COLOR)
+  })
+}
+
+// diverging colors: blue where areas shrink, white where they are kept, red where they grow
+function scaleColor(area) {
+  const t = Math.max(-1, Math.min(1, Math.log2(area) / 3))
+  return t < 0
+    ? [255 * (1 + t), 255 * (1 + t), 255]
+    : [255, 255 * (1 - t), 255 * (1 - t)]
+}
+
+function drawHeatmap() {
+  const projection = AZIMUTHAL_PROJECTIONS[projectionName]
+  // the map covers the disk of radius ρ(maxAngle); cut the infinite ones off at 8
+  const extent = Math.min(8, projection.radius(projection.maxAngle - 1e-3)) * radius
+  const size = 256
+  const data = new Uint8Array(size * size * 4)
+  for (let j = 0; j < size; j++) {
+    for (let i = 0; i < size; i++) {
+      const x = ((i + 0.5) / size * 2 - 1) * extent, z = ((j + 0.5) / size * 2 - 1) * extent
+      const rho = Math.hypot(x, z) / radius
+      const k = (j * size + i) * 4
+      if (rho > projection.radius(projection.maxAngle - 1e-3)) { data[k + 3] = 0; continue }
+      const [r, g, b] = scaleColor(azimuthalScale(projection, projection.inverse(rho)).area)
+      data[k] = r; data[k + 1] = g; data[k + 2] = b; data[k + 3] = 150
+    }
+  }
+  const texture = new THREE.DataTexture(data, size, size)
+  texture.needsUpdate = true
+  texture.magFilter = THREE.LinearFilter
+  texture.colorSpace = THREE.SRGBColorSpace
+
+  const heatmap = new THREE.Mesh(
+    new THREE.PlaneGeometry(2 * extent, 2 * extent),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false, side: THREE.DoubleSide })
+  )
+  // texture rows run along +z once the plane is laid flat
+  heatmap.rotation.x = Math.PI / 2
+  heatmap.position.set(spherePos.x, -0.001, spherePos.z)
+  distortionGroup.add(heatmap)
+}
+
+function updateDistortion() {
+  clearDistortionGroup()
+  // the pole marker follows the projection pole
+  northPoleMarker.position.copy(projectionPolePos())
+  if (toggleHeatmap && toggleHeatmap.checked) drawHeatmap()
+  if (toggleTissot && toggleTissot.checked) drawTissot()
+}
+
+// a new map or pole: redraw the layers and every selection with it, the plane
+// shapes lifted through the new map
+function projectionChanged() {
+  updateDistortion()
+  selections.forEach(drawSelection)
+  // a picked plane shape lifts to a new curve, which may be no circle now
+  anglePicks = anglePicks.map(pick => ({ ...pick, circle: selectionCircle(pick.entry) })).filter(pick => pick.circle)
+  drawAngle()
+  updateConformalReadout()
+}
+
+function setProjectionPole(p) {
+  pickingPole = false
+  const local = p.clone().sub(spherePos).normalize()
+  projectionCenter = { x: -local.x, y: -local.y, z: -local.z }
+  projectionChanged()
+}
+
+function resetDistortion() {
+  projectionName = 'stereographic'
+  projectionCenter = DOWN
+  pickingPole = false
+  if (projectionSelect) projectionSelect.value = 'stereographic'
+  if (poleSelect) poleSelect.value = 'north'
+  if (toggleTissot) toggleTissot.checked = false
+  if (toggleHeatmap) toggleHeatmap.checked = false
+  updateDistortion()
+}
+
+if (projectionSelect) {
+  projectionSelect.addEventListener("change", () => {
+    projectionName = projectionSelect.value
+    projectionChanged()
+  })
+}
+
+if (poleSelect) {
+  poleSelect.addEventListener("change", () => {
+    // "pick" waits for the next click on the sphere
+    if (poleSelect.value === 'pick') { pickingPole = true; return }
+    const pole = POLES[poleSelect.value]
+    projectionCenter = { x: -pole.x, y: -pole.y, z: -pole.z }
+    projectionChanged()
+  })
+}
+
+[toggleTissot, toggleHeatmap].forEach(t => { if (t) t.addEventListener("change", updateDistortion) })
+
 // =====================
-// EXECUTION LOOP
+// PRECISE INPUT
 // =====================
-function animate() {
-  // request the browser to draw the next frame
-  requestAnimationFrame(animate)
-  // required for the smooth camera damping effect
-  controls.update()
-  // render the scene from the camera's perspective
-  renderer.render(scene, camera)
+// Typed points and latitude/longitude sliders, applied through selectOnSphere
+// like clicks. Coordinates are on the unit sphere with z up (θ from the North Pole).
+
+// setMode (from the runtime) turns on a mode the way its toggle does
+if (preciseInput) {
+  createPreciseInput(preciseInput, {
+    onPoint(p) {
+      if (exhibit.frozen || mobiusProgress > 0) return
+      // the point goes to the active sphere mode, or is shown as a single point
+      if (!activeMode([...SPHERE_MODES, 'three-point'])) setMode('point')
+      selectOnSphere(toScene(p))
+    },
+    onLatitude(degrees, live) {
+      if (exhibit.frozen || mobiusProgress > 0) return
+      setMode('latitude')
+      selectOnSphere(toScene(latitudePoint(degrees)), { live })
+    },
+    onLongitude(degrees, live) {
+      if (exhibit.frozen || mobiusProgress > 0) return
+      setMode('longitude')
+      selectOnSphere(toScene(longitudePoint(degrees)), { live })
+    },
+    onSweepEnd() {
+      liveSelection = null
+      commitSelection()
+    }
+  })
 }
-// start the animation loop
-animate()
 
-//pdate camera and renderer when window is resized
-window.addEventListener("resize", () => {
-  camera.aspect = window.innerWidth / window.innerHeight
-  camera.updateProjectionMatrix()
-  renderer.setSize(window.innerWidth, window.innerHeight)
-})
\ No newline at end of file
+// =====================
+// HOVER READOUT
+// =====================
+// Live numbers for the point under the pointer: its spherical and Cartesian
+// coordinates on the unit sphere, and its image on the plane as a complex
+// number (x + iy, with y read along the scene's z axis, as in the Möbius panel).
+// In the inverse modes the plane point is read instead, with its lift.
+
+const hoverReadout = hoverElement && createHoverReadout(hoverElement)
+
+// unit-sphere coordinates (z up) of a point of the scene sphere
+function sphereCoordinates(p) {
+  const local = p.clone().sub(spherePos).divideScalar(radius)
+  return { x: local.x, y: local.z, z: local.y }
+}
+
+function sphereLines(p) {
+  const c = sphereCoordinates(p)
+  const { theta, phi } = cartesianToSpherical(c)
+  return [`θ ${formatDegrees(theta)}   φ ${formatDegrees(phi)}`, `(x, y, z) ${formatPoint(c)}`]
+}
+
+// the plane point relative to the spot under the sphere center
+const planeLine = q => `w = ${formatComplex((q.x - spherePos.x) / radius, (q.z - spherePos.z) / radius)}`
+
+if (hoverReadout) {
+  onPointerHover(renderer.domElement, event => {
+    // nothing while orbiting, recording, or with the sphere moved away by the Möbius motion
+    if (event.buttons || exhibit.paused || mobiusProgress > 0) { hoverReadout.hide(); return }
+    pointerToNDC(event, renderer.domElement, mouse)
+    raycaster.setFromCamera(mouse, camera)
+
+    if (isPlaneMode()) {
+      const q = raycaster.ray.intersectPlane(groundPlane, new THREE.Vector3())
+      if (!q) { hoverReadout.hide(); return }
+      const p = liftPoint(q)
+      hoverReadout.show(event.clientX, event.clientY, ['Plane point', planeLine(q), ...(p ? ['lifts to', ...sphereLines(p)] : ['lifts to no point of the sphere'])])
+      return
+    }
+
+    const hit = raycaster.intersectObject(sphere)[0]
+    if (!hit) { hoverReadout.hide(); return }
+    const proj = projectPoint(hit.point)
+    hoverReadout.show(event.clientX, event.clientY, [
+      'Point on the sphere',
+      ...sphereLines(hit.point),
+      proj ? `projects to ${planeLine(proj)}` : 'no image on the plane'
+    ])
+  }, () => hoverReadout.hide())
+}
+
+// =====================
+// KEYBOARD CURSOR
+// =====================
+// With the canvas focused, the arrow keys walk a cursor over the sphere and
+// Enter acts like a tap at the cursor. In the inverse modes the tap lands on
+// the cursor's image in the plane, which is marked too.
+
+renderer.domElement.setAttribute('role', 'application')
+renderer.domElement.setAttribute('aria-label', 'Sphere above the plane. Arrow keys move a cursor, Shift for larger steps, Enter selects at the cursor.')
+
+const cursorMaterial = new THREE.MeshBasicMaterial({ color: 0xffcc00 })
+const cursorDot = new THREE.Mesh(new THREE.SphereGeometry(0.03), cursorMaterial)
+const cursorImage = new THREE.Mesh(new THREE.SphereGeometry(0.03), cursorMaterial)
+cursorDot.visible = cursorImage.visible = false
+scene.add(cursorDot, cursorImage)
+
+function hideCursor() {
+  cursorDot.visible = cursorImage.visible = false
+}
+
+createSphereCursor(renderer.domElement, {
+  status: cursorStatus,
+  onMove(p) {
+    // the cursor follows the sphere only where it normally sits
+    if (mobiusProgress > 0) { hideCursor(); return }
+    const point = toScene(p)
+    const image = projectPoint(point)
+    cursorDot.position.copy(point)
+    cursorDot.visible = true
+    if (image) cursorImage.position.copy(image)
+    cursorImage.visible = Boolean(image)
+  },
+  onSelect(p) {
+    if (exhibit.frozen || mobiusProgress > 0) return
+    const point = toScene(p)
+    if (isPlaneMode()) {
+      const q = projectPoint(point)
+      if (q) handlePlaneClick(q)
+    } else if (pickingPole) {
+      setProjectionPole(point)
+    } else {
+      selectOnSphere(point)
+    }
+  },
+  onHide: hideCursor
+})
+
+// =====================
+// SVG EXPORT
+// =====================
+// A vector drawing for papers and handouts: on the left the plane seen from
+// above (the lime curves and markers), on the right the sphere curves in an
+// orthographic view from the current camera direction, with the far side dashed.
+// Each path carries the surface it belongs to; the description records the
+// projection and the selection so the figure can be reproduced.
+
+// side of each square panel, in SVG units
+const SVG_PANEL = 100
+// the plane panel shows at most this far from the origin (lines run off to ±LINE_EXTENT)
+const SVG_PLANE_EXTENT = 8
+
+// world-space points of a drawn line, as runs (a Line is one run, LineSegments one run per pair)
+function worldRuns(object) {
+  const position = object.geometry.attributes.position
+  const points = []
+  for (let i = 0; i < position.count; i++) points.push(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(object.matrixWorld))
+  if (!object.isLineSegments) return [points]
+  const runs = []
+  for (let i = 0; i < points.length; i += 2) {
+    // collapsed segments stand for pieces at infinity
+    if (points[i].distanceTo(points[i + 1]) > 1e-9) runs.push([points[i], points[i + 1]])
+  }
+  return runs
+}
+
+// which panel an object of projectGroup is drawn in, or null for guide lines
+function svgSide(object) {
+  if (object.userData.isImage) return 'plane'
+  return object.userData.side === 'guide' ? null : object.userData.side
+}
+
+function buildSVG() {
+  projectGroup.updateMatrixWorld(true)
+  const drawn = selections.filter(entry => entry.visible)
+    .flatMap(entry => entry.group.children)
+    .filter(object => object.visible && svgSide(object))
+  const color = object => `#${object.material.color.getHexString()}`
+
+  // --- plane panel: top view, x to the right, z down ---
+  let extent = 2 * radius
+  drawn.filter(o => svgSide(o) === 'plane').forEach(o => o.isMesh
+    ? extent = Math.max(extent, Math.abs(o.position.x), Math.abs(o.position.z))
+    : worldRuns(o).flat().forEach(p => { if (Math.hypot(p.x, p.z) < SVG_PLANE_EXTENT) extent = Math.max(extent, Math.abs(p.x), Math.abs(p.z)) }))
+  extent = Math.min(SVG_PLANE_EXTENT, extent * 1.1)
+  const planeScale = SVG_PANEL / (2 * extent)
+  const toPlane = p => ({ x: (p.x + extent) * planeScale, y: (p.z + extent) * planeScale })
+
+  const plane = [`<g id="plane" clip-path="url(#plane-clip)">`,
+    `<rect${svgAttributes({ width: SVG_PANEL, height: SVG_PANEL, fill: 'none', stroke: '#cccccc', 'stroke-width': 0.2 })}/>`,
+    `<circle${svgAttributes({ cx: toPlane(spherePos).x, cy: toPlane(spherePos).y, r: radius * planeScale, fill: 'none', stroke: '#cccccc', 'stroke-width': 0.2, 'stroke-dasharray': '1 1' })}/>`]
+  drawn.filter(o => svgSide(o) === 'plane').forEach(o => {
+    if (o.isMesh) {
+      const c = toPlane(o.position)
+      plane.push(`<circle${svgAttributes({ cx: c.x.toFixed(3), cy: c.y.toFixed(3), r: 1, fill: color(o), 'data-x': o.position.x.toFixed(4), 'data-z': o.position.z.toFixed(4) })}/>`)
+      return
+    }
+    const d = worldRuns(o).map(run => svgPathData(run.map(toPlane))).join(' ')
+    plane.push(`<path${svgAttributes({ d, fill: 'none', stroke: color(o), 'stroke-width': 0.5, 'data-side': 'plane' })}/>`)
+  })
+  plane.push('</g>')
+
+  // --- sphere panel: orthographic view along the camera direction ---
+  const center = sphere.position
+  const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0)
+  const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1)
+  const toward = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 2)
+  const sphereScale = SVG_PANEL * 0.4 / radius
+  const toView = p => {
+    const d = p.clone().sub(center)
+    return { x: SVG_PANEL * 1.5 + d.dot(right) * sphereScale, y: SVG_PANEL / 2 - d.dot(up) * sphereScale }
+  }
+  const front = p => p.clone().sub(center).dot(toward) >= 0
+
+  const view = [`<g id="sphere">`,
+    `<circle${svgAttributes({ cx: SVG_PANEL * 1.5, cy: SVG_PANEL / 2, r: radius * sphereScale, fill: 'none', stroke: '#888888', 'stroke-width': 0.3 })}/>`]
+  drawn.filter(o => svgSide(o) === 'sphere').forEach(o => {
+    if (o.isMesh) {
+      const c = toView(o.position)
+      view.push(`<circle${svgAttributes({ cx: c.x.toFixed(3), cy: c.y.toFixed(3), r: 1, fill: color(o), 'fill-opacity': front(o.position) ? 1 : 0.4 })}/>`)
+      return
+    }
+    // split each curve where it crosses the silhouette, so the far side can be dashed
+    worldRuns(o).forEach(run => {
+      let part = [run[0]]
+      const flush = facing => {
+        if (part.length > 1) view.push(`<path${svgAttributes({ d: svgPathData(part.map(toView)), fill: 'none', stroke: color(o), 'stroke-width': 0.5, 'stroke-opacity': facing ? 1 : 0.4, 'stroke-dasharray': facing ? null : '1.5 1', 'data-side': facing ? 'sphere-front' : 'sphere-back' })}/>`)
+      }
+      for (let i = 1; i < run.length; i++) {
+        if (front(run[i]) !== front(run[i - 1])) { part.push(run[i]); flush(front(run[i - 1])); part = [run[i]] }
+        else part.push(run[i])
+      }
+      flush(front(run[run.length - 1]))
+    })
+  })
+  view.push('</g>')
+
+  const description = [
+    `projection: ${projectionName}, center ${formatVector(projectionCenter)}`,
+    ...selections.filter(entry => entry.visible).map(entry => `${entry.mode} ${describeSelection(entry)}`),
+    `plane panel: x and z from ${-extent.toFixed(3)} to ${extent.toFixed(3)}`
+  ].filter(Boolean).join('; ')
+
+  return svgDocument({ viewBox: [0, 0, 2 * SVG_PANEL, SVG_PANEL], width: 240, title: 'Stereographic projection', description }, [
+    `<defs><clipPath id="plane-clip"><rect${svgAttributes({ width: SVG_PANEL, height: SVG_PANEL })}/></clipPath></defs>`,
+    ...plane,
+    ...view
+  ].join('\n'))
+}
+
+if (svgBtn) svgBtn.addEventListener("click", () => download(buildSVG(), `projection-${Date.now()}.svg`, 'image/svg+xml'))
+
+// =====================
+// RECORDING
+// =====================
+// Scripted loops, recorded frame by frame at a fixed time step while the render
+// loop is paused: a full camera orbit, or the Möbius motion played out and back.
+
+const RECORD_DURATION = 8
+const RECORD_FPS = 30
+
+const RECORD_SCRIPTS = {
+  orbit() {
+    const offset = camera.position.clone().sub(controls.target)
+    const axis = new THREE.Vector3(0, 1, 0)
+    return {
+      step: t => {
+        camera.position.copy(controls.target).add(offset.clone().applyAxisAngle(axis, 2 * Math.PI * t / RECORD_DURATION))
+        camera.lookAt(controls.target)
+      },
+      restore: () => camera.position.copy(controls.target).add(offset)
+    }
+  },
+  mobius() {
+    updateMobiusMotion()
+    if (!mobiusMotion) throw new Error("Open the Möbius panel and pick a transformation first.")
+    const start = mobiusProgress
+    mobiusAnimation = null
+    return {
+      // out to the transformed picture and back, easing at both ends
+      step: t => applyMobiusPose(0.5 - 0.5 * Math.cos(2 * Math.PI * t / RECORD_DURATION)),
+      restore: () => applyMobiusPose(start)
+    }
+  }
+}
+
+if (recordBtn) {
+  recordBtn.addEventListener("click", async () => {
+    if (exhibit.paused) return
+    let script
+    try {
+      script = RECORD_SCRIPTS[recordScript ? recordScript.value : 'orbit']()
+    } catch (err) {
+      if (recordError) recordError.textContent = err.message
+      return
+    }
+    const format = recordFormat ? recordFormat.value : 'webm'
+    if (recordError) recordError.textContent = ''
+    exhibit.paused = true
+    controls.enabled = false
+    exhibit.setOverlaysVisible(false)
+    try {
+      const blob = await recordAnimation({
+        renderer, scene, camera,
+        step: script.step,
+        duration: RECORD_DURATION,
+        fps: RECORD_FPS,
+        scale: captureScale ? Number(captureScale.value) : 1,
+        format,
+        onProgress: done => recordBtn.textContent = `Recording ${Math.round(done * 100)}%`
+      })
+      download(blob, `${exhibit.entry.id}-${Date.now()}.${format === 'png' ? 'zip' : 'webm'}`)
+    } catch (err) {
+      // shown under the button once the panels are back
+      if (recordError) recordError.textContent = err.message
+    } finally {
+      script.restore()
+      exhibit.paused = false
+      controls.enabled = true
+      exhibit.setOverlaysVisible(true)
+      recordBtn.textContent = "Record"
+    }
+  })
+}
+
+// =====================
+// SHAREABLE LINKS
+// =====================
+// The whole exhibit fits in the URL hash: the active mode and the selections,
+// the projection and its pole, the distortion layers, the Möbius coefficients
+// and how far the sphere has moved, the sample texture, camera and freeze state.
+// Images loaded from disk can't be shared and are left out.
+//
+// A selection is "mode:numbers[:colour:h]": the clicked sphere point, the
+// x,y,z of each point of a 3-point circle, or the x,z of each plane click (a
+// closed polygon repeats its first vertex); the optional colour is hex and a
+// trailing "h" marks it hidden.
+
+function encodeSelection(entry) {
+  const numbers = entry.point ? formatVector(entry.point)
+    : entry.mode === 'three-point' ? formatNumbers(entry.clicks.flatMap(p => [p.x, p.y, p.z]))
+    : formatNumbers(entry.clicks.flatMap(q => [q.x, q.z]))
+  const parts = [entry.mode, numbers]
+  if (entry.color !== null || !entry.visible) {
+    parts.push(entry.color === null ? '' : entry.color.toString(16).padStart(6, '0'), entry.visible ? '' : 'h')
+  }
+  return parts.join(':')
+}
+
+// the snapshot form of an encoded selection, or null if it can't be read
+function decodeSelection(text) {
+  const [mode, numbers, color = '', hidden = ''] = text.split(':')
+  const n = parseNumbers(numbers)
+  if (!n || !(SPHERE_MODES.includes(mode) || PLANE_MODES.includes(mode) || mode === 'three-point')) return null
+  const style = { color: color ? parseInt(color, 16) : null, visible: hidden !== 'h' }
+  if (SPHERE_MODES.includes(mode)) {
+    return n.length === 3 ? { mode, point: { x: n[0], y: n[1], z: n[2] }, clicks: null, closed: false, ...style } : null
+  }
+  if (mode === 'three-point') {
+    if (n.length !== 9) return null
+    const clicks = [0, 3, 6].map(i => ({ x: n[i], y: n[i + 1], z: n[i + 2] }))
+    return { mode, point: null, clicks, closed: false, ...style }
+  }
+  if (n.length < 2 || n.length % 2) return null
+  const clicks = []
+  for (let i = 0; i < n.length; i += 2) clicks.push({ x: n[i], y: 0, z: n[i + 1] })
+  const first = clicks[0], last = clicks[clicks.length - 1]
+  const closed = mode === 'polygon' && clicks.length > 3 && first.x === last.x && first.z === last.z
+  return { mode, point: null, clicks, closed, ...style }
+}
+
+function shareState() {
+  const mobiusOpen = toggleMobius && toggleMobius.checked
+  return {
+    mode: activeMode(),
+    acc: accumulating() ? 1 : null,
+    items: selections.filter(entry => entry !== pendingShape).map(encodeSelection).join(';'),
+    proj: projectionName === 'stereographic' ? null : projectionName,
+    pole: projectionCenter === DOWN ? null : formatVector(projectionCenter),
+    tissot: toggleTissot && toggleTissot.checked ? 1 : null,
+    heat: toggleHeatmap && toggleHeatmap.checked ? 1 : null,
+    mobius: mobiusOpen ? formatNumbers(Object.values(readCoefficients()).flatMap(z => [z.re, z.im])) : null,
+    mp: mobiusOpen && mobiusProgress > 0 ? formatNumbers([mobiusProgress]) : null,
+    tex: textureSelect && textureSelect.value,
+    ...cameraParams(camera, controls),
+    frozen: exhibit.frozen ? 1 : null
+  }
+}
+
+async function restoreState(params) {
+  setMode(params.get('mode'))
+  if (toggleAccumulate) toggleAccumulate.checked = params.get('acc') === '1'
+
+  // projection first, so the selection is drawn with it
+  if (AZIMUTHAL_PROJECTIONS[params.get('proj')]) projectionName = params.get('proj')
+  if (projectionSelect) projectionSelect.value = projectionName
+  const pole = parseVector(params.get('pole'))
+  if (pole) {
+    projectionCenter = pole
+    // a pole that isn't one of the listed ones was picked on the sphere
+    const named = Object.keys(POLES).find(k => Math.hypot(POLES[k].x + pole.x, POLES[k].y + pole.y, POLES[k].z + pole.z) < 1e-3)
+    if (poleSelect) poleSelect.value = named || 'pick'
+  }
+  if (toggleTissot) toggleTissot.checked = params.get('tissot') === '1'
+  if (toggleHeatmap) toggleHeatmap.checked = params.get('heat') === '1'
+  updateDistortion()
+
+  applySnapshot((params.get('items') || '').split(';').map(decodeSelection).filter(Boolean))
+  selectionHistory.reset(snapshot())
+
+  const mobius = parseNumbers(params.get('mobius'), 8)
+  if (mobius && toggleMobius) {
+    COEFFICIENTS.forEach((k, i) => {
+      if (mobiusSliders[`${k}-re`]) mobiusSliders[`${k}-re`].value = mobius[2 * i]
+      if (mobiusSliders[`${k}-im`]) mobiusSliders[`${k}-im`].value = mobius[2 * i + 1]
+    })
+    toggleMobius.checked = true
+    if (mobiusPanel) mobiusPanel.style.display = 'block'
+    updateMobiusMotion()
+    const progress = Number(params.get('mp'))
+    if (mobiusMotion && progress > 0) applyMobiusPose(Math.min(1, progress))
+  }
+
+  applyCameraParams(params, camera, controls)
+  exhibit.setFrozen(params.get('frozen') === '1')
+
+  const sample = SAMPLE_TEXTURES[params.get('tex')]
+  if (sample && textureSelect) {
+    textureSelect.value = params.get('tex')
+    sampleCache[textureSelect.value] ??= await sample.create()
+    showTexture(sampleCache[textureSelect.value], sample)
+  }
+}
+
+if (linkBtn) {
+  linkBtn.addEventListener("click", async () => {
+    if (linkError) linkError.textContent = ''
+    await copyStateLink(shareState())
+    linkBtn.textContent = "Copied"
+    setTimeout(() => linkBtn.textContent = "Copy Link", 1200)
+  })
+}
+
+// =====================
+// GUIDED TOUR
+// =====================
+// Steps from a JSON script (tour.json by default, see common/tour.js), in the
+// sphere modes. Besides the shared keys a step can choose the "projection"
+// and the "pole" it is taken from, and play a "mobius" preset once its
+// selections are placed. The points of one step are all kept, as if
+// Accumulate were on.
+
+const oneOf = names => value => (names.includes(value) ? null : `expected one of ${names.map(n => `"${n}"`).join(', ')}`)
+
+function applyTourStep(step) {
+  exhibit.setFrozen(false)
+  // selections are only drawn on the resting sphere
+  if (!step.mobius && (mobiusProgress > 0 || (toggleMobius && toggleMobius.checked))) resetMobius()
+
+  if (step.projection && projectionSelect) {
+    projectionSelect.value = step.projection
+    projectionSelect.dispatchEvent(new Event("change"))
+  }
+  if (step.pole && poleSelect) {
+    poleSelect.value = step.pole
+    poleSelect.dispatchEvent(new Event("change"))
+  }
+  if (step.mode) setMode(step.mode)
+
+  if (step.select) {
+    if (step.mobius) resetMobius()
+    dropPendingShape()
+    if (step.clear !== false) clearSelections()
+    stepPoints(step).map(toScene)
+      .filter(p => canProjectSelection(step.mode, p))
+      .forEach(point => addSelection({ mode: step.mode, point }))
+    commitSelection()
+  }
+
+  if (step.mobius) {
+    if (toggleMobius && !toggleMobius.checked) {
+      toggleMobius.checked = true
+      toggleMobius.dispatchEvent(new Event("change"))
+    }
+    // the preset button sets the coefficients and plays the motion from rest
+    const preset = document.querySelector(`[data-mobius-preset="${step.mobius}"]`)
+    if (preset) preset.click()
+  }
+  if (step.freeze) exhibit.setFrozen(true)
+}
+
+const tour = createTour(infoPanel, {
+  camera,
+  controls,
+  modes: SPHERE_MODES,
+  keys: {
+    projection: oneOf(Object.keys(AZIMUTHAL_PROJECTIONS)),
+    pole: oneOf(Object.keys(POLES)),
+    mobius: oneOf(Object.keys(MOBIUS_PRESETS))
+  },
+  applyStep: applyTourStep
+})
+
+if (tourBtn) tourBtn.addEventListener("click", () => tour.load('tour.json'))
+if (tourFileBtn && tourFile) tourFileBtn.addEventListener("click", () => tourFile.click())
+if (tourFile) {
+  tourFile.addEventListener("change", () => {
+    if (tourFile.files[0]) tour.load(tourFile.files[0])
+    tourFile.value = ''
+  })
+}
+
+selectionHistory.reset(snapshot())
+const sharedState = readHash()
+if (sharedState) {
+  restoreState(sharedState).catch(err => {
+    // start from the default state rather than half of the shared one
+    exhibit.reset()
+    if (linkError) linkError.textContent = `Could not open the shared link: ${err.message}`
+  })
+}
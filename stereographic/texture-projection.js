@@ -0,0 +1,156 @@
+// =====================
+// TEXTURE PROJECTION
+// =====================
+// Shader materials that show one image on both surfaces: drawn directly on
+// the surface it belongs to, and warped through the stereographic projection
+// on the other one. Both surfaces use the resting geometry of the exhibit:
+// unit sphere centered at (0, 1, 0), North Pole (0, 2, 0), plane y = 0.
+
+import * as THREE from 'three';
+
+// where the image lives: an equirectangular map on the sphere, or a flat image on the plane
+export const SOURCE_SPHERE = 0
+export const SOURCE_PLANE = 1
+
+const vertexShader = /* glsl */`
+  varying vec3 vLocal;
+  varying vec3 vWorld;
+  void main() {
+    vLocal = position;
+    vWorld = (modelMatrix * vec4(position, 1.0)).xyz;
+    gl_Position = projectionMatrix * viewMatrix * vec4(vWorld, 1.0);
+  }
+`
+
+const fragmentShader = /* glsl */`
+  #define PI 3.141592653589793
+  uniform sampler2D map;
+  uniform int source;      // 0: equirectangular sphere map, 1: image on the plane
+  uniform bool onSphere;   // which surface this material is drawn on
+  uniform float planeSize; // side of the square the plane image covers
+  uniform bool repeatMap;  // tile the plane image over the whole plane
+  uniform float opacity;
+  varying vec3 vLocal;
+  varying vec3 vWorld;
+
+  const vec3 center = vec3(0.0, 1.0, 0.0);
+  const vec3 pole = vec3(0.0, 2.0, 0.0);
+
+  // same layout as the UVs of THREE.SphereGeometry
+  vec2 equirect(vec3 p) {
+    return vec2(fract(atan(p.z, -p.x) / (2.0 * PI)), 1.0 - acos(clamp(p.y, -1.0, 1.0)) / PI);
+  }
+
+  vec2 planeUv(vec2 q) {
+    return vec2(q.x, -q.y) / planeSize + 0.5;
+  }
+
+  void main() {
+    vec2 uv;
+    if (onSphere) {
+      // vLocal is already relative to the sphere center, so the image rides along with the sphere
+      if (source == 0) {
+        uv = equirect(normalize(vLocal));
+      } else {
+        // ray from the North Pole through the point, down to y = 0
+        vec3 d = (normalize(vLocal) + center) - pole;
+        if (d.y > -1e-6) discard;
+        vec3 q = pole + d * (-pole.y / d.y);
+        uv = planeUv(q.xz);
+      }
+    } else {
+      vec3 q = vec3(vWorld.x, 0.0, vWorld.z);
+      if (source == 0) {
+        // second intersection of the ray from the pole through q with the sphere
+        vec3 d = q - pole;
+        vec3 x = pole + d * (-2.0 * d.y / dot(d, d));
+        uv = equirect(x - center);
+      } else {
+        uv = planeUv(q.xz);
+      }
+    }
+    if (source == 1 && !repeatMap && (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0)) discard;
+    gl_FragColor = vec4(texture2D(map, uv).rgb, opacity);
+    #include <colorspace_fragment>
+  }
+`
+
+/**
+ * Material for the sphere (onSphere = true) or the plane showing `texture`,
+ * which lives on the surface named by `source`.
+ */
+export function createProjectionMaterial(texture, { source, onSphere, planeSize = 4, repeat = false, opacity = 1 }) {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      map: { value: texture },
+      source: { value: source },
+      onSphere: { value: onSphere },
+      planeSize: { value: planeSize },
+      repeatMap: { value: repeat },
+      opacity: { value: opacity }
+    },
+    vertexShader,
+    fragmentShader,
+    transparent: opacity < 1,
+    side: THREE.DoubleSide
+  })
+}
+
+// ---------------------
+// Built-in sample textures (drawn on a canvas, nothing to download)
+// ---------------------
+
+function canvasTexture(width, height, draw) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  draw(canvas.getContext('2d'), width, height)
+  const texture = new THREE.CanvasTexture(canvas)
+  texture.colorSpace = THREE.SRGBColorSpace
+  return texture
+}
+
+// black and white squares, tiled over the plane
+export function createCheckerboardTexture(squares = 8) {
+  const texture = canvasTexture(512, 512, (ctx, w, h) => {
+    const size = w / squares
+    for (let i = 0; i < squares; i++) {
+      for (let j = 0; j < squares; j++) {
+        ctx.fillStyle = (i + j) % 2 ? '#111111' : '#f2f2f2'
+        ctx.fillRect(i * size, j * size, size, size)
+      }
+    }
+  })
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping
+  texture.anisotropy = 8
+  return texture
+}
+
+// equirectangular globe grid: colored latitude bands with meridians every 30°
+export function createGraticuleTexture() {
+  return canvasTexture(2048, 1024, (ctx, w, h) => {
+    const bands = ['#FF00FF', '#8a2be2', '#1e90ff', '#00ced1', '#32CD32', '#ffd700']
+    for (let i = 0; i < 12; i++) {
+      ctx.fillStyle = bands[i % bands.length]
+      ctx.fillRect(0, (i / 12) * h, w, h / 12)
+    }
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)'
+    ctx.lineWidth = 4
+    for (let lon = 0; lon <= 360; lon += 30) {
+      ctx.beginPath(); ctx.moveTo((lon / 360) * w, 0); ctx.lineTo((lon / 360) * w, h); ctx.stroke()
+    }
+    for (let lat = 0; lat <= 180; lat += 15) {
+      ctx.beginPath(); ctx.moveTo(0, (lat / 180) * h); ctx.lineTo(w, (lat / 180) * h); ctx.stroke()
+    }
+  })
+}
+
+// loads an image file or URL into a texture
+export function loadImageTexture(url) {
+  return new Promise((resolve, reject) => {
+    new THREE.TextureLoader().load(url, texture => {
+      texture.colorSpace = THREE.SRGBColorSpace
+      resolve(texture)
+    }, undefined, () => reject(new Error(`Could not load image ${url}`)))
+  })
+}
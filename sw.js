@@ -0,0 +1,94 @@
+// =====================
+// SERVICE WORKER
+// =====================
+// Keeps the whole lab available offline. Installing it stores every page,
+// module, dependency (see vendor/fetch.sh) and image below; afterwards every
+// request is answered from that cache first, and the cached copy is refreshed
+// from the network in the background whenever there is one. So a kiosk keeps
+// working with no connection, and picks up changes the next time it loads.
+//
+// A new file has to be added to PRECACHE, and CACHE bumped along with it:
+// changing CACHE makes every browser drop the old cache and install the list
+// afresh, while an unchanged one keeps serving what it had.
+
+const CACHE = 'lab-v3'
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'style.css',
+  'page1.jpg',
+  'manifest.webmanifest',
+  'icon.svg',
+
+  'common/exhibit.css',
+  'common/exhibit.js',
+  'common/exhibits.js',
+  'common/export.js',
+  'common/geometry.js',
+  'common/history.js',
+  'common/hover-readout.js',
+  'common/kiosk.js',
+  'common/offline.js',
+  'common/pointer.js',
+  'common/precise-input.js',
+  'common/recorder.js',
+  'common/selection-list.js',
+  'common/share.js',
+  'common/tour.js',
+  'common/zip.js',
+
+  'stereographic/index.html',
+  'stereographic/main.js',
+  'stereographic/texture-projection.js',
+  'stereographic/tour.json',
+
+  'hopf/index.html',
+  'hopf/main.js',
+  'hopf/base-view.js',
+  'hopf/fiber-batch.js',
+  'hopf/fiber-style.js',
+  'hopf/tour.json',
+
+  'polytopes/index.html',
+  'polytopes/main.js',
+  'polytopes/polytope.js',
+
+  'vendor/three/build/three.module.js',
+  'vendor/three/examples/jsm/controls/OrbitControls.js',
+  'vendor/three/examples/jsm/exporters/GLTFExporter.js',
+  'vendor/fonts/inter.css',
+  'vendor/fonts/inter-latin-400-normal.woff2',
+  'vendor/fonts/inter-latin-500-normal.woff2'
+]
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)).then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+  event.respondWith(caches.open(CACHE).then(async cache => {
+    // the query only configures a page (e.g. ?kiosk=120), it is the same file
+    const cached = await cache.match(request, { ignoreSearch: true })
+    const refresh = fetch(request)
+      .then(response => {
+        if (response.ok) cache.put(request.url.split('?')[0], response.clone())
+        return response
+      })
+      .catch(() => cached || Response.error())
+    if (!cached) return refresh
+    event.waitUntil(refresh)
+    return cached
+  }))
+})